@@ -1,20 +1,54 @@
 import pkg from './package.json';
 import typescript from 'rollup-plugin-typescript';
 
-export default {
-    input: 'src/index.js',
-    output: [{
+const plugins = [
+    typescript({
+        target: 'es5',
+        include: ['src/**/*']
+    })
+];
+
+export default [{
+    input: 'src/index.umd.js',
+    output: {
         name: 'ResizeObserver',
         file: pkg.main,
         format: 'umd'
-    }, {
-        file: pkg.module,
-        format: 'es'
-    }],
-    plugins: [
-        typescript({
-            target: 'es5',
-            include: ['src/**/*']
-        })
-    ]
-};
+    },
+    plugins
+}, {
+    input: 'src/BreakpointObserver.js',
+    output: {
+        name: 'BreakpointObserver',
+        file: 'dist/BreakpointObserver.js',
+        format: 'umd'
+    },
+    plugins
+}, {
+    input: 'src/ContainerQueries.js',
+    output: {
+        name: 'ContainerQueries',
+        file: 'dist/ContainerQueries.js',
+        format: 'umd'
+    },
+    plugins
+}, {
+    // ES modules share a single copy of the polyfill, i.e. of its settings
+    // and controllers, which is moved to a separate chunk.
+    input: {
+        ResizeObserver: 'src/index.js',
+        BreakpointObserver: 'src/BreakpointObserver.js',
+        ContainerQueries: 'src/ContainerQueries.js'
+    },
+    experimentalCodeSplitting: true,
+    manualChunks: {
+        core: ['src/ResizeObserverSPI.js']
+    },
+    output: {
+        dir: 'dist',
+        format: 'es',
+        entryFileNames: '[name].es.js',
+        chunkFileNames: 'ResizeObserver.[name].es.js'
+    },
+    plugins
+}];
@@ -0,0 +1,36 @@
+/// <reference path="../src/index.d.ts" />
+
+interface BreakpointChange {
+    readonly target: Element;
+    readonly breakpoint: string | null;
+    readonly previousBreakpoint: string | null;
+    readonly entry: ResizeObserverEntry;
+}
+
+interface BreakpointObserverCallback {
+    (changes: BreakpointChange[], observer: BreakpointObserver): void
+}
+
+interface BreakpointObserverInit {
+    attribute?: string;
+    classPrefix?: string | null;
+    detection?: 'mutations' | 'scroll' | 'polling';
+    autoRelease?: 'none' | 'disconnected' | 'weak';
+    debounce?: number;
+    throttle?: number;
+    leading?: boolean;
+}
+
+declare class BreakpointObserver {
+    static init(root?: Document | Element): BreakpointObserver;
+    constructor(
+        breakpoints: {[name: string]: number},
+        callback?: BreakpointObserverCallback | null,
+        options?: BreakpointObserverInit
+    );
+    observe(target: Element, breakpoints?: {[name: string]: number}): void;
+    unobserve(target: Element): void;
+    disconnect(): void;
+}
+
+export default BreakpointObserver;
@@ -0,0 +1,364 @@
+import {Map} from './shims/es6-collections.js';
+import ResizeObserverSPI from './ResizeObserverSPI.js';
+import {assertType} from './utils/assert.js';
+import isBrowser from './utils/isBrowser.js';
+
+// Attribute that defines breakpoints of the elements which are observed
+// automatically, e.g. data-breakpoints="sm: 0, md: 480, lg: 960".
+const BREAKPOINTS_ATTRIBUTE = 'data-breakpoints';
+
+// Attribute that holds the name of the current breakpoint by default.
+const DEFAULT_ATTRIBUTE = 'data-size';
+
+// Observer of the elements that declare their breakpoints in markup, which is
+// created on the first automatic initialization.
+let autoObserver = null;
+
+/**
+ * Converts an object that maps names of breakpoints to their minimal widths
+ * to a list of breakpoints sorted by width.
+ *
+ * @param {Object<string, number>} breakpoints
+ * @returns {Array<Object>}
+ */
+const parseBreakpoints = (breakpoints) => {
+    assertType(breakpoints !== null && typeof breakpoints === 'object', 'The provided breakpoints are not an object.');
+
+    const list = Object.keys(breakpoints).map(name => {
+        const width = breakpoints[name];
+
+        assertType(
+            typeof width === 'number' && width >= 0 && width < Infinity,
+            `The provided width '${ width }' of the '${ name }' breakpoint is not valid.`
+        );
+
+        return {name, width};
+    });
+
+    return list.sort((first, second) => first.width - second.width);
+};
+
+/**
+ * Parses the value of the "data-breakpoints" attribute, which is a comma
+ * separated list of names followed by their minimal widths.
+ *
+ * @param {string} value
+ * @returns {Object<string, number>}
+ */
+const parseBreakpointsAttribute = (value) => {
+    const breakpoints = {};
+
+    value.split(',').forEach(pair => {
+        const [name, width] = pair.split(':');
+
+        if (name.trim()) {
+            breakpoints[name.trim()] = parseFloat(width);
+        }
+    });
+
+    return breakpoints;
+};
+
+/**
+ * Finds the widest of the breakpoints that provided width fits in.
+ *
+ * @param {Array<Object>} breakpoints - Breakpoints sorted by width.
+ * @param {number} width
+ * @returns {string|null} Name of the breakpoint, or "null" if the width is
+ *      smaller than all of them.
+ */
+const getBreakpoint = (breakpoints, width) => {
+    let name = null;
+
+    breakpoints.forEach(breakpoint => {
+        if (width >= breakpoint.width) {
+            ({name} = breakpoint);
+        }
+    });
+
+    return name;
+};
+
+/**
+ * Adds or removes provided class of the element. The "class" attribute is
+ * modified directly as "classList" is not available in old browsers and for
+ * SVG elements in some of them.
+ *
+ * @param {Element} target
+ * @param {string} className
+ * @param {boolean} enabled
+ * @returns {void}
+ */
+const toggleClass = (target, className, enabled) => {
+    const classes = (target.getAttribute('class') || '').split(/\s+/).filter(name => name && name !== className);
+
+    if (enabled) {
+        classes.push(className);
+    }
+
+    target.setAttribute('class', classes.join(' '));
+};
+
+/**
+ * Starts tracking breakpoints of an element that declares them in markup.
+ * Elements with malformed breakpoints are skipped, so that they don't
+ * prevent other elements from being observed.
+ *
+ * @param {Element} element
+ * @returns {void}
+ */
+const observeDeclared = (element) => {
+    try {
+        autoObserver.observe(element, parseBreakpointsAttribute(element.getAttribute(BREAKPOINTS_ATTRIBUTE)));
+    } catch (error) {
+        // Element is not observed.
+    }
+};
+
+/**
+ * Observer that keeps track of the breakpoints of elements by their own
+ * content width, i.e. element queries. Name of the current breakpoint is
+ * reflected in an attribute or in a class of each element.
+ */
+export default class BreakpointObserver {
+    /**
+     * Default breakpoints of the observed elements sorted by width.
+     *
+     * @private {Array<Object>}
+     */
+    breakpoints_;
+
+    /**
+     * Function that is invoked when breakpoints of elements change.
+     *
+     * @private {Function}
+     */
+    callback_;
+
+    /**
+     * Attribute that holds the name of the current breakpoint.
+     *
+     * @private {string}
+     */
+    attribute_;
+
+    /**
+     * Prefix of the class that holds the name of the current breakpoint, or
+     * "null" if the attribute is used instead.
+     *
+     * @private {string}
+     */
+    classPrefix_;
+
+    /**
+     * Observer of dimensions of the elements.
+     *
+     * @private {ResizeObserverSPI}
+     */
+    observer_;
+
+    /**
+     * Breakpoints of the observed elements along with the names of their
+     * current breakpoints.
+     *
+     * @private {Map<Element, Object>}
+     */
+    targets_ = new Map();
+
+    /**
+     * Creates an instance of BreakpointObserver.
+     *
+     * @param {Object<string, number>} breakpoints - Minimal content widths of
+     *      the elements mapped to the names of breakpoints.
+     * @param {Function} [callback] - Function that is invoked with the list of
+     *      changes when breakpoints of elements change.
+     * @param {Object} [options] - Options of the observer: the "attribute"
+     *      or the "classPrefix" to reflect breakpoints in, along with any of
+     *      the options of ResizeObserver.
+     */
+    constructor(breakpoints, callback, options) {
+        const {attribute = DEFAULT_ATTRIBUTE, classPrefix = null} = options || {};
+
+        assertType(
+            !callback || typeof callback === 'function',
+            'The callback provided as parameter 2 is not a function.'
+        );
+        assertType(typeof attribute === 'string', `The provided value '${ attribute }' is not a valid attribute.`);
+        assertType(
+            classPrefix === null || typeof classPrefix === 'string',
+            `The provided value '${ classPrefix }' is not a valid class prefix.`
+        );
+
+        this.breakpoints_ = parseBreakpoints(breakpoints);
+        this.callback_ = callback || null;
+        this.attribute_ = attribute;
+        this.classPrefix_ = classPrefix;
+        this.observer_ = new ResizeObserverSPI(this.onResize_.bind(this), this, options);
+    }
+
+    /**
+     * Starts tracking breakpoints of provided element.
+     *
+     * @param {Element} target - Element to be observed.
+     * @param {Object<string, number>} [breakpoints] - Breakpoints of the
+     *      element, which override the ones of the observer.
+     * @returns {void}
+     */
+    observe(target, breakpoints) {
+        assertType(arguments.length, '1 argument required, but only 0 present.');
+
+        const list = breakpoints ? parseBreakpoints(breakpoints) : this.breakpoints_;
+        const targets = this.targets_;
+
+        // Restart the observation, so that the breakpoint of an element that
+        // is already being observed is recalculated with the new list.
+        this.observer_.unobserve(target);
+        this.observer_.observe(target);
+
+        // Elements can't be observed in non-browser environments.
+        if (!isBrowser) {
+            return;
+        }
+
+        const record = targets.get(target);
+
+        // Breakpoint of a new element is unknown, so the first one found is
+        // always reported.
+        targets.set(target, record ? {breakpoints: list, breakpoint: record.breakpoint} : {breakpoints: list});
+    }
+
+    /**
+     * Stops tracking breakpoints of provided element. Its last breakpoint is
+     * left in place.
+     *
+     * @param {Element} target - Element to stop observing.
+     * @returns {void}
+     */
+    unobserve(target) {
+        assertType(arguments.length, '1 argument required, but only 0 present.');
+
+        this.observer_.unobserve(target);
+
+        if (isBrowser) {
+            this.targets_.delete(target);
+        }
+    }
+
+    /**
+     * Stops tracking breakpoints of all elements.
+     *
+     * @returns {void}
+     */
+    disconnect() {
+        this.observer_.disconnect();
+        this.targets_.clear();
+    }
+
+    /**
+     * Updates breakpoints of the resized elements and invokes the callback
+     * with the ones that have changed.
+     *
+     * @private
+     * @param {Array<ResizeObserverEntry>} entries
+     * @returns {void}
+     */
+    onResize_(entries) {
+        const changes = [];
+
+        entries.forEach(entry => {
+            const {target} = entry;
+            const record = this.targets_.get(target);
+
+            // Element might have been unobserved while its entry was waiting
+            // for a deferred delivery.
+            if (!record) {
+                return;
+            }
+
+            const breakpoint = getBreakpoint(record.breakpoints, entry.contentRect.width);
+            const previousBreakpoint = record.breakpoint;
+
+            if (breakpoint === previousBreakpoint) {
+                return;
+            }
+
+            record.breakpoint = breakpoint;
+
+            this.reflect_(target, breakpoint, previousBreakpoint);
+
+            changes.push({target, breakpoint, previousBreakpoint: previousBreakpoint || null, entry});
+        });
+
+        if (changes.length && this.callback_) {
+            this.callback_(changes, this);
+        }
+    }
+
+    /**
+     * Reflects the current breakpoint of provided element in its attribute
+     * or in its class.
+     *
+     * @private
+     * @param {Element} target
+     * @param {string|null} breakpoint - Name of the current breakpoint.
+     * @param {string|null} [previousBreakpoint] - Name of the previous one.
+     * @returns {void}
+     */
+    reflect_(target, breakpoint, previousBreakpoint) {
+        const prefix = this.classPrefix_;
+
+        if (prefix === null) {
+            if (breakpoint === null) {
+                target.removeAttribute(this.attribute_);
+            } else {
+                target.setAttribute(this.attribute_, breakpoint);
+            }
+
+            return;
+        }
+
+        if (previousBreakpoint) {
+            toggleClass(target, prefix + previousBreakpoint, false);
+        }
+
+        if (breakpoint !== null) {
+            toggleClass(target, prefix + breakpoint, true);
+        }
+    }
+
+    /**
+     * Starts tracking breakpoints of the elements that declare them with the
+     * "data-breakpoints" attribute. Invoked automatically when the document
+     * is loaded, and can be invoked again for the elements added later.
+     *
+     * @param {Document|Element} [root=document] - Node to search elements in.
+     * @returns {BreakpointObserver} Observer of the found elements.
+     */
+    static init(root = document) {
+        const elements = root.querySelectorAll(`[${ BREAKPOINTS_ATTRIBUTE }]`);
+
+        if (!autoObserver) {
+            autoObserver = new BreakpointObserver({});
+        }
+
+        for (let i = 0; i < elements.length; i++) {
+            const element = elements[i];
+
+            if (!autoObserver.targets_.has(element)) {
+                observeDeclared(element);
+            }
+        }
+
+        return autoObserver;
+    }
+}
+
+// Observe the elements that declare their breakpoints in markup as soon as
+// the document is parsed.
+if (isBrowser) {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => BreakpointObserver.init());
+    } else {
+        BreakpointObserver.init();
+    }
+}
@@ -0,0 +1,10 @@
+declare class ContainerQueries {
+    static default: ContainerQueries | null;
+    static isSupported(): boolean;
+    constructor(document?: Document);
+    start(callback?: () => void): void;
+    update(): void;
+    stop(): void;
+}
+
+export default ContainerQueries;
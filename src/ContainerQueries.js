@@ -0,0 +1,824 @@
+import {
+    appendToSubjects,
+    getDeclaration,
+    parseBlocks,
+    prefixSelectors,
+    removePseudoElements,
+    replaceUrls
+} from './utils/css.js';
+import {Map} from './shims/es6-collections.js';
+import ResizeObserverSPI from './ResizeObserverSPI.js';
+import isBrowser from './utils/isBrowser.js';
+import throttle from './utils/throttle.js';
+
+// Attribute of container elements that holds identifiers of the container
+// queries they match.
+const QUERIES_ATTRIBUTE = 'data-container-query';
+
+// Attribute of the elements inside of the matching containers that holds
+// identifiers of the queries they are excluded from, as a nearer container
+// doesn't match them.
+const EXCLUSIONS_ATTRIBUTE = 'data-container-query-excluded';
+
+// Attributes changes of which may turn elements into containers.
+const observedAttributes = ['class', 'style'];
+
+// Attribute of the style element that holds the rewritten rules.
+const STYLE_ATTRIBUTE = 'data-container-queries';
+
+// Delay before the list of containers is updated after DOM mutations.
+const UPDATE_DELAY = 20;
+
+// Conditional group rules, the content of which is searched for container
+// declarations and queries.
+const groupRules = ['media', 'supports', 'layer'];
+
+// Container types that allow to query dimensions of elements.
+const containerTypes = ['inline-size', 'size'];
+
+// Size features of the container queries mapped to the axes they refer to.
+const sizeFeatures = {
+    width: 'inline',
+    'inline-size': 'inline',
+    height: 'block',
+    'block-size': 'block'
+};
+
+// Comparisons of the range syntax along with the ones implied by the "min-"
+// and "max-" prefixes and by the plain syntax.
+const operators = {
+    '<': (size, value) => size < value,
+    '<=': (size, value) => size <= value,
+    '>': (size, value) => size > value,
+    '>=': (size, value) => size >= value,
+    '=': (size, value) => size === value
+};
+
+// Operators implied by the prefixes of features, e.g. "min-width: 10px".
+const prefixOperators = {'min-': '>=', 'max-': '<='};
+
+// Operators to be used when the value precedes the name of a feature.
+const invertedOperators = {'<': '>', '<=': '>=', '>': '<', '>=': '<=', '=': '='};
+
+// Size feature written in either the "min-width: 10px" or the "width > 10px" form.
+const FEATURE_REGEXP = /^(min-|max-)?([a-z-]+)\s*(:|[<>]=?|=)\s*(-?[\d.]+)(px|em|rem)?$/;
+
+// Size feature written in the "10px < width" form.
+const INVERTED_FEATURE_REGEXP = /^(-?[\d.]+)(px|em|rem)?\s*([<>]=?|=)\s*([a-z-]+)$/;
+
+/**
+ * Parses a single feature of a container query, e.g. "min-width: 400px".
+ *
+ * @param {string} feature - Feature without the enclosing parentheses.
+ * @returns {Object|null} Condition with the "axis", "operator", "value" and
+ *      "unit" properties, or "null" if the feature is not supported.
+ */
+const parseFeature = (feature) => {
+    let match = FEATURE_REGEXP.exec(feature);
+
+    if (match) {
+        const [, prefix, name, operator, value, unit = 'px'] = match;
+
+        // Prefixes can't be combined with the range syntax.
+        if (!sizeFeatures.hasOwnProperty(name) || prefix && operator !== ':') {
+            return null;
+        }
+
+        return {
+            axis: sizeFeatures[name],
+            operator: operator === ':' ? prefixOperators[prefix] || '=' : operator,
+            value: +value,
+            unit
+        };
+    }
+
+    match = INVERTED_FEATURE_REGEXP.exec(feature);
+
+    if (!match || !sizeFeatures.hasOwnProperty(match[4])) {
+        return null;
+    }
+
+    const [, value, unit = 'px', operator, name] = match;
+
+    return {axis: sizeFeatures[name], operator: invertedOperators[operator], value: +value, unit};
+};
+
+/**
+ * Parses the prelude of the "@container" rule, i.e. an optional name of the
+ * container followed by size features joined with "and".
+ *
+ * @param {string} prelude - Prelude without the "@container" keyword.
+ * @returns {Object|null} Query with the "name" and the list of "conditions",
+ *      or "null" if the query is not supported.
+ */
+const parseQuery = (prelude) => {
+    const nameMatch = /^([a-zA-Z_-][\w-]*)\s*/.exec(prelude);
+    const name = nameMatch && nameMatch[1].toLowerCase() !== 'not' ? nameMatch[1] : null;
+    const condition = name ? prelude.slice(nameMatch[0].length) : prelude;
+    const features = condition.split(/\s+and\s+/i);
+    const conditions = features.map(feature => {
+        const match = /^\(\s*([^()]+?)\s*\)$/.exec(feature.trim());
+
+        return match ? parseFeature(match[1].toLowerCase()) : null;
+    });
+
+    // Queries with "or", "not", nested conditions or with the features
+    // other than sizes are not supported.
+    if (!condition.trim() || conditions.some(item => !item)) {
+        return null;
+    }
+
+    return {name, conditions};
+};
+
+/**
+ * Rewrites style rules of the "@container" rule, so that they match the
+ * descendants of the containers that have provided attribute selector,
+ * unless the descendants are excluded from the query.
+ *
+ * @param {string} css - Body of the "@container" rule.
+ * @param {string} prefix - Attribute selector of the containers.
+ * @param {string} exclusion - Selector of the excluded descendants.
+ * @param {Array<string>} selectors - List to which the original selectors of
+ *      the rules, without pseudo-elements, are added.
+ * @returns {string}
+ */
+const rewriteRules = (css, prefix, exclusion, selectors) => {
+    return parseBlocks(css).map(({prelude, body}) => {
+        const atRule = /^@([\w-]+)/.exec(prelude);
+
+        if (!atRule) {
+            selectors.push(...removePseudoElements(prelude));
+
+            return `${ prefixSelectors(appendToSubjects(prelude, `:not(${ exclusion })`), prefix) } {${ body }}`;
+        }
+
+        if (groupRules.indexOf(atRule[1].toLowerCase()) !== -1) {
+            return `${ prelude } {${ rewriteRules(body, prefix, exclusion, selectors) }}`;
+        }
+
+        return `${ prelude } {${ body }}`;
+    }).join('\n');
+};
+
+/**
+ * Parses container declarations of the "container", "container-name" and
+ * "container-type" properties.
+ *
+ * @param {string} body - Declarations of a style rule.
+ * @returns {Object|null} Container with the list of "names" and its "type",
+ *      either of which is "null" if it's not declared, or "null" if the rule
+ *      doesn't declare a container at all.
+ */
+const parseContainer = (body) => {
+    const shorthand = getDeclaration(body, 'container');
+
+    let name = getDeclaration(body, 'container-name'),
+        type = getDeclaration(body, 'container-type');
+
+    // Shorthand resets the type if it's omitted.
+    if (shorthand) {
+        [name, type = 'normal'] = shorthand.split('/');
+    }
+
+    if (name === null && type === null) {
+        return null;
+    }
+
+    return {
+        names: name === null ? null : name.trim().split(/\s+/).filter(item => item && item !== 'none'),
+        type: type === null ? null : type.trim()
+    };
+};
+
+/**
+ * Tells whether provided container can be queried by the query, i.e. whether
+ * it has the name of the query and the type that allows to query the sizes
+ * used in its conditions.
+ *
+ * @param {Object} query
+ * @param {Object} container - Names and type of the container.
+ * @returns {boolean}
+ */
+const canQuery = ({name, conditions}, container) => {
+    if (name && container.names.indexOf(name) === -1) {
+        return false;
+    }
+
+    if (containerTypes.indexOf(container.type) === -1) {
+        return false;
+    }
+
+    // Block size of the "inline-size" containers can't be queried.
+    return container.type === 'size' || conditions.every(condition => condition.axis !== 'block');
+};
+
+/**
+ * Tells whether provided container element is marked as the one that matches
+ * the query.
+ *
+ * @param {Element} element
+ * @param {Object} query
+ * @returns {boolean}
+ */
+const hasQuery = (element, query) => {
+    const ids = (element.getAttribute(QUERIES_ATTRIBUTE) || '').split(' ');
+
+    return ids.indexOf(query.id) !== -1;
+};
+
+/**
+ * Converts provided value of a condition to pixels.
+ *
+ * @param {Object} condition
+ * @param {Element} container - Container which is being queried.
+ * @returns {number}
+ */
+const toPixels = ({value, unit}, container) => {
+    if (unit === 'px') {
+        return value;
+    }
+
+    const element = unit === 'rem' ? container.ownerDocument.documentElement : container;
+    const {defaultView} = container.ownerDocument;
+
+    return value * parseFloat(defaultView.getComputedStyle(element).fontSize);
+};
+
+/**
+ * Finds elements that match provided selector, ignoring the selectors that
+ * are not supported by the browser.
+ *
+ * @param {Document|Element} root - Document or element, descendants of
+ *      which are searched.
+ * @param {string} selector
+ * @returns {Array<Element>}
+ */
+const findElements = (root, selector) => {
+    try {
+        return Array.prototype.slice.call(root.querySelectorAll(selector));
+    } catch (error) {
+        return [];
+    }
+};
+
+/**
+ * Tells whether provided URL belongs to the same origin as the document.
+ *
+ * @param {Document} document
+ * @param {string} url
+ * @returns {boolean}
+ */
+const isSameOrigin = (document, url) => {
+    const anchor = document.createElement('a');
+    const {location} = document;
+
+    anchor.href = url;
+
+    return anchor.protocol === location.protocol && anchor.host === location.host;
+};
+
+/**
+ * Resolves relative URLs of the resources referenced by provided style sheet
+ * against its own URL, as the rewritten rules are injected in the document
+ * and would otherwise be resolved against the URL of the document.
+ *
+ * @param {Document} document
+ * @param {string} css - Text of the style sheet.
+ * @param {string} baseUrl - URL of the style sheet.
+ * @returns {string}
+ */
+const rebaseUrls = (document, css, baseUrl) => {
+    // Anchors resolve URLs against the "base" element of their own document.
+    const context = document.implementation.createHTMLDocument('');
+    const base = context.createElement('base');
+    const anchor = context.createElement('a');
+
+    base.href = baseUrl;
+
+    context.head.appendChild(base);
+    context.body.appendChild(anchor);
+
+    return replaceUrls(css, url => {
+        // Embedded resources and references to fragments are left as is.
+        if (!url || /^(data:|#)/i.test(url)) {
+            return url;
+        }
+
+        anchor.href = url;
+
+        return anchor.href;
+    });
+};
+
+/**
+ * Loads the text of provided style sheet. Failed requests result in an empty text.
+ *
+ * @param {string} url
+ * @param {Function} callback - Function that is invoked with the text.
+ * @returns {void}
+ */
+const loadStyleSheet = (url, callback) => {
+    const request = new XMLHttpRequest();
+
+    request.open('GET', url);
+
+    request.onload = () => callback(request.status < 400 ? request.responseText : '');
+    request.onerror = () => callback('');
+
+    request.send();
+};
+
+/**
+ * Polyfill of CSS container queries. Rules of "@container" are read from
+ * the texts of the same-origin style sheets and rewritten to the selectors
+ * of an attribute, which is kept up to date on each container by observing
+ * its dimensions.
+ */
+export default class ContainerQueries {
+    /**
+     * Document the style sheets of which are polyfilled.
+     *
+     * @private {Document}
+     */
+    document_;
+
+    /**
+     * Selectors of the style rules that declare containers along with the
+     * names and the types of the containers.
+     *
+     * @private {Array<Object>}
+     */
+    containerRules_ = [];
+
+    /**
+     * Parsed "@container" rules.
+     *
+     * @private {Array<Object>}
+     */
+    queries_ = [];
+
+    /**
+     * Observed containers mapped to their names and types.
+     *
+     * @private {Map<Element, Object>}
+     */
+    containers_ = new Map();
+
+    /**
+     * Elements excluded from the queries mapped to the value of their
+     * attribute.
+     *
+     * @private {Map<Element, string>}
+     */
+    excluded_ = new Map();
+
+    /**
+     * Observer of dimensions of the containers.
+     *
+     * @private {ResizeObserverSPI}
+     */
+    observer_;
+
+    /**
+     * Observer of the elements that are added to or removed from the document,
+     * or the classes and styles of which change, or "null" if it's not
+     * available.
+     *
+     * @private {MutationObserver}
+     */
+    mutationsObserver_ = null;
+
+    /**
+     * Element that holds the rewritten rules.
+     *
+     * @private {HTMLStyleElement}
+     */
+    style_ = null;
+
+    /**
+     * Tells whether the polyfill has been started.
+     *
+     * @private {boolean}
+     */
+    started_ = false;
+
+    /**
+     * Instance that is started automatically once the document is parsed,
+     * or "null" if container queries are supported natively or the module
+     * is loaded outside of a browser.
+     *
+     * @type {ContainerQueries}
+     */
+    static default = null;
+
+    /**
+     * Creates an instance of ContainerQueries.
+     *
+     * @param {Document} [document=window.document] - Document to be polyfilled.
+     */
+    constructor(document = window.document) {
+        this.document_ = document;
+        this.observer_ = new ResizeObserverSPI(this.onResize_.bind(this), this);
+
+        this.update = this.update.bind(this);
+        this.scheduleUpdate_ = throttle(this.update, callback => setTimeout(callback, UPDATE_DELAY));
+    }
+
+    /**
+     * Reads style sheets of the document and starts applying container
+     * queries. Style sheets of the "link" elements are requested again, so
+     * the rules are applied asynchronously.
+     *
+     * @param {Function} [callback] - Function that is invoked once the rules
+     *      have been applied.
+     * @returns {void}
+     */
+    start(callback) {
+        if (this.started_) {
+            return;
+        }
+
+        const sources = Array.prototype.slice.call(
+            this.document_.querySelectorAll(`style:not([${ STYLE_ATTRIBUTE }]), link[rel~="stylesheet"]`)
+        );
+        const texts = sources.map(() => '');
+
+        let pending = sources.length + 1;
+
+        const onLoad = () => {
+            pending -= 1;
+
+            if (pending === 0 && this.started_) {
+                this.apply_(texts.join('\n'));
+
+                if (callback) {
+                    callback();
+                }
+            }
+        };
+
+        this.started_ = true;
+
+        sources.forEach((source, index) => {
+            if (source.localName === 'style') {
+                texts[index] = source.textContent;
+            } else if (source.href && isSameOrigin(this.document_, source.href)) {
+                loadStyleSheet(source.href, text => {
+                    texts[index] = rebaseUrls(this.document_, text, source.href);
+
+                    onLoad();
+                });
+
+                return;
+            }
+
+            onLoad();
+        });
+
+        onLoad();
+    }
+
+    /**
+     * Stops applying container queries, removes the rewritten rules and the
+     * attributes of containers.
+     *
+     * @returns {void}
+     */
+    stop() {
+        this.started_ = false;
+
+        this.observer_.disconnect();
+
+        if (this.mutationsObserver_) {
+            this.mutationsObserver_.disconnect();
+            this.mutationsObserver_ = null;
+        }
+
+        this.containers_.forEach((container, element) => element.removeAttribute(QUERIES_ATTRIBUTE));
+        this.containers_.clear();
+
+        this.excluded_.forEach((ids, element) => element.removeAttribute(EXCLUSIONS_ATTRIBUTE));
+        this.excluded_.clear();
+
+        if (this.style_ && this.style_.parentNode) {
+            this.style_.parentNode.removeChild(this.style_);
+        }
+
+        this.style_ = null;
+        this.containerRules_ = [];
+        this.queries_ = [];
+    }
+
+    /**
+     * Finds containers in the document, starts observing the new ones and
+     * stops observing the ones that are no longer present. Invoked
+     * automatically when elements are added or removed, or when their
+     * classes and styles change, in the browsers that support MutationObserver.
+     *
+     * @returns {void}
+     */
+    update() {
+        if (!this.started_) {
+            return;
+        }
+
+        const containers = new Map();
+        const previous = this.containers_;
+
+        this.containerRules_.forEach(({selector, names, type}) => {
+            findElements(this.document_, selector).forEach(element => {
+                const container = containers.get(element) || {names: [], type: 'normal'};
+
+                // Declarations are applied in the order of the rules, without
+                // taking their specificity into account.
+                container.names = names || container.names;
+                container.type = type || container.type;
+
+                containers.set(element, container);
+            });
+        });
+
+        previous.forEach((container, element) => {
+            if (!containers.has(element)) {
+                this.observer_.unobserve(element);
+                element.removeAttribute(QUERIES_ATTRIBUTE);
+            }
+        });
+
+        containers.forEach((container, element) => {
+            if (!previous.has(element)) {
+                this.observer_.observe(element);
+            }
+        });
+
+        this.containers_ = containers;
+
+        this.updateExclusions_();
+    }
+
+    /**
+     * Parses provided style sheet, injects the rewritten rules and starts
+     * observing the containers.
+     *
+     * @private
+     * @param {string} css
+     * @returns {void}
+     */
+    apply_(css) {
+        const document = this.document_;
+        const rules = [];
+
+        this.parse_(css, []);
+
+        this.queries_.forEach(query => rules.push(query.css));
+
+        this.style_ = document.createElement('style');
+        this.style_.setAttribute(STYLE_ATTRIBUTE, '');
+        this.style_.appendChild(document.createTextNode(rules.join('\n')));
+
+        (document.head || document.documentElement).appendChild(this.style_);
+
+        if (typeof MutationObserver !== 'undefined') {
+            this.mutationsObserver_ = new MutationObserver(() => this.scheduleUpdate_());
+            this.mutationsObserver_.observe(document.documentElement, {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                attributeFilter: observedAttributes
+            });
+        }
+
+        this.update();
+    }
+
+    /**
+     * Collects container declarations and "@container" rules of provided
+     * style sheet or of the content of a conditional group rule.
+     *
+     * @private
+     * @param {string} css
+     * @param {Array<string>} wrappers - Preludes of the group rules that
+     *      contain the style sheet, which are preserved in the rewritten rules.
+     * @returns {void}
+     */
+    parse_(css, wrappers) {
+        parseBlocks(css).forEach(({prelude, body}) => {
+            const atRule = /^@([\w-]+)\s*([\s\S]*)$/.exec(prelude);
+
+            if (!atRule) {
+                const container = parseContainer(body);
+
+                if (container) {
+                    this.containerRules_.push({selector: prelude, names: container.names, type: container.type});
+                }
+
+                return;
+            }
+
+            const name = atRule[1].toLowerCase();
+
+            if (name === 'container') {
+                this.addQuery_(atRule[2], body, wrappers);
+            } else if (groupRules.indexOf(name) !== -1) {
+                this.parse_(body, wrappers.concat(prelude));
+            }
+        });
+    }
+
+    /**
+     * Registers the "@container" rule and rewrites its style rules.
+     *
+     * @private
+     * @param {string} prelude - Prelude without the "@container" keyword.
+     * @param {string} body - Content of the rule.
+     * @param {Array<string>} wrappers - Preludes of the enclosing group rules.
+     * @returns {void}
+     */
+    addQuery_(prelude, body, wrappers) {
+        const query = parseQuery(prelude.trim());
+
+        if (!query) {
+            return;
+        }
+
+        const id = `cq${ this.queries_.length }`;
+        const selectors = [];
+        const rules = rewriteRules(
+            body,
+            `[${ QUERIES_ATTRIBUTE }~="${ id }"]`,
+            `[${ EXCLUSIONS_ATTRIBUTE }~="${ id }"]`,
+            selectors
+        );
+
+        query.id = id;
+        query.selectors = selectors;
+        query.css = wrappers.reduceRight((css, wrapper) => `${ wrapper } {\n${ css }\n}`, rules);
+
+        this.queries_.push(query);
+    }
+
+    /**
+     * Updates the queries matched by the resized containers.
+     *
+     * @private
+     * @param {Array<ResizeObserverEntry>} entries
+     * @returns {void}
+     */
+    onResize_(entries) {
+        let isChanged = false;
+
+        entries.forEach(entry => {
+            const {target} = entry;
+            const container = this.containers_.get(target);
+
+            // Container might have been removed while the notification was
+            // being delivered.
+            if (!container) {
+                return;
+            }
+
+            const ids = this.queries_
+                .filter(query => this.matches_(query, container, target, entry.contentBoxSize[0]))
+                .map(query => query.id)
+                .join(' ');
+
+            if (ids === (target.getAttribute(QUERIES_ATTRIBUTE) || '')) {
+                return;
+            }
+
+            if (ids) {
+                target.setAttribute(QUERIES_ATTRIBUTE, ids);
+            } else {
+                target.removeAttribute(QUERIES_ATTRIBUTE);
+            }
+
+            isChanged = true;
+        });
+
+        if (isChanged) {
+            this.updateExclusions_();
+        }
+    }
+
+    /**
+     * Finds the nearest ancestor of provided element that is a container
+     * which can be queried by the query.
+     *
+     * @private
+     * @param {Object} query
+     * @param {Element} element
+     * @returns {Element|null}
+     */
+    getQueryContainer_(query, element) {
+        for (let node = element.parentNode; node; node = node.parentNode) {
+            const container = this.containers_.get(node);
+
+            if (container && canQuery(query, container)) {
+                return node;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Excludes the elements, which are matched by the rules of a query inside
+     * of a matching container, from the query if their nearest container
+     * doesn't match it, as the rewritten rules would otherwise apply to them
+     * because of the farther container.
+     *
+     * @private
+     * @returns {void}
+     */
+    updateExclusions_() {
+        const excluded = new Map();
+        const previous = this.excluded_;
+
+        this.queries_.forEach(query => {
+            const nodes = [];
+
+            this.containers_.forEach((container, element) => {
+                if (hasQuery(element, query)) {
+                    query.selectors.forEach(selector => nodes.push(...findElements(element, selector)));
+                }
+            });
+
+            nodes.forEach(node => {
+                const queries = excluded.get(node) || [];
+
+                if (queries.indexOf(query.id) !== -1 || hasQuery(this.getQueryContainer_(query, node), query)) {
+                    return;
+                }
+
+                queries.push(query.id);
+                excluded.set(node, queries);
+            });
+        });
+
+        this.excluded_ = new Map();
+
+        previous.forEach((ids, element) => {
+            if (!excluded.has(element)) {
+                element.removeAttribute(EXCLUSIONS_ATTRIBUTE);
+            }
+        });
+
+        excluded.forEach((queries, element) => {
+            const ids = queries.join(' ');
+
+            if (previous.get(element) !== ids) {
+                element.setAttribute(EXCLUSIONS_ATTRIBUTE, ids);
+            }
+
+            this.excluded_.set(element, ids);
+        });
+    }
+
+    /**
+     * Tells whether provided container matches the query.
+     *
+     * @private
+     * @param {Object} query
+     * @param {Object} container - Names and type of the container.
+     * @param {Element} target - Container element.
+     * @param {ResizeObserverSize} size - Size of its content box.
+     * @returns {boolean}
+     */
+    matches_(query, container, target, size) {
+        if (!canQuery(query, container)) {
+            return false;
+        }
+
+        return query.conditions.every(condition => {
+            const actualSize = condition.axis === 'inline' ? size.inlineSize : size.blockSize;
+
+            return operators[condition.operator](actualSize, toPixels(condition, target));
+        });
+    }
+
+    /**
+     * Tells whether the browser supports container queries natively.
+     *
+     * @returns {boolean}
+     */
+    static isSupported() {
+        if (typeof CSS === 'undefined' || typeof CSS.supports !== 'function') {
+            return false;
+        }
+
+        return CSS.supports('container-type', 'size');
+    }
+}
+
+// Apply container queries once the document is parsed if they are not
+// supported natively. The instance is exposed, so that it can be stopped.
+if (isBrowser && !ContainerQueries.isSupported()) {
+    ContainerQueries.default = new ContainerQueries();
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => ContainerQueries.default.start());
+    } else {
+        ContainerQueries.default.start();
+    }
+}
@@ -0,0 +1,201 @@
+import ResizeObserverSPI from './ResizeObserverSPI.js';
+import {getElementBoxes} from './utils/geometry.js';
+import isBrowser from './utils/isBrowser.js';
+import {observedBoxes} from './ResizeObservation.js';
+
+/**
+ * Creates the result of an iteration.
+ *
+ * @param {ResizeObserverEntry} [value]
+ * @returns {Object}
+ */
+const createResult = (value) => value ? {value, done: false} : {done: true};
+
+/**
+ * Asynchronous iterator of the entries of a single element, which observes
+ * the element until the iteration is finished, e.g. when the "for await"
+ * loop is broken.
+ */
+export default class ResizeIterator {
+    /**
+     * Observer of the element.
+     *
+     * @private {ResizeObserverSPI}
+     */
+    observer_;
+
+    /**
+     * Entry that hasn't been consumed yet, or "null" if there is none.
+     *
+     * @private {ResizeObserverEntry}
+     */
+    pendingEntry_ = null;
+
+    /**
+     * Functions that resolve the promises of the pending iterations.
+     *
+     * @private {Array<Function>}
+     */
+    waiting_ = [];
+
+    /**
+     * Size of the observed box of the element at the time the iteration has
+     * started, or "null" if the initial notification is not skipped.
+     *
+     * @private {ResizeObserverSizeInit}
+     */
+    initialSize_ = null;
+
+    /**
+     * Key of the observed box in the entries.
+     *
+     * @private {string}
+     */
+    boxKey_;
+
+    /**
+     * Tells whether the iteration has been finished.
+     *
+     * @private {boolean}
+     */
+    done_ = false;
+
+    /**
+     * Creates an instance of ResizeIterator and starts observing provided element.
+     *
+     * @param {Element} target - Element to be observed.
+     * @param {Object} [options] - Options of both the observer and the
+     *      observation, e.g. "box" or "debounce".
+     * @param {boolean} [skipCurrent=false] - Whether to skip the initial
+     *      notification if the element hasn't changed since the iteration
+     *      has started.
+     */
+    constructor(target, options, skipCurrent = false) {
+        const {box = 'content-box'} = options || {};
+
+        this.observer_ = new ResizeObserverSPI(this.onResize_.bind(this), this, options);
+        this.observer_.observe(target, options);
+
+        this.boxKey_ = observedBoxes[box];
+
+        // Elements can't be measured in non-browser environments.
+        if (skipCurrent && isBrowser) {
+            this.initialSize_ = getElementBoxes(target)[this.boxKey_];
+        }
+    }
+
+    /**
+     * Returns a promise of the next entry of the element. Entries that
+     * haven't been consumed in time are coalesced, so the latest size of the
+     * element is always reported.
+     *
+     * @returns {Promise<Object>}
+     */
+    next() {
+        const entry = this.pendingEntry_;
+
+        if (entry || this.done_) {
+            this.pendingEntry_ = null;
+
+            return Promise.resolve(createResult(entry));
+        }
+
+        return new Promise(resolve => this.waiting_.push(resolve));
+    }
+
+    /**
+     * Finishes the iteration and stops observing the element. Invoked
+     * automatically when the "for await" loop is broken.
+     *
+     * @returns {Promise<Object>}
+     */
+    return() {
+        this.done_ = true;
+        this.pendingEntry_ = null;
+
+        this.observer_.disconnect();
+        this.waiting_.splice(0).forEach(resolve => resolve(createResult()));
+
+        return Promise.resolve(createResult());
+    }
+
+    /**
+     * Passes entries to the pending iteration or keeps the latest one until
+     * the next iteration.
+     *
+     * @private
+     * @param {Array<ResizeObserverEntry>} entries
+     * @returns {void}
+     */
+    onResize_(entries) {
+        const entry = entries[entries.length - 1];
+        const initialSize = this.initialSize_;
+
+        this.initialSize_ = null;
+
+        // Skip the initial notification if the element hasn't changed since
+        // the iteration has started.
+        if (initialSize && this.isSameSize_(entry, initialSize)) {
+            return;
+        }
+
+        if (this.waiting_.length) {
+            this.waiting_.shift()(createResult(entry));
+        } else {
+            this.pendingEntry_ = entry;
+        }
+    }
+
+    /**
+     * Tells whether the observed box of the entry has provided size.
+     *
+     * @private
+     * @param {ResizeObserverEntry} entry
+     * @param {ResizeObserverSizeInit} size
+     * @returns {boolean}
+     */
+    isSameSize_(entry, size) {
+        const [entrySize] = entry[this.boxKey_];
+
+        return entrySize.inlineSize === size.inlineSize && entrySize.blockSize === size.blockSize;
+    }
+}
+
+// Make the iterator usable in "for await" loops.
+if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+    ResizeIterator.prototype[Symbol.asyncIterator] = function () {
+        return this;
+    };
+}
+
+/**
+ * Returns a promise of the next entry of provided element, which is resolved
+ * once the observed box of the element changes.
+ *
+ * @param {Element} target - Element to be observed.
+ * @param {Object} [options] - Options of both the observer and the observation.
+ * @returns {Promise<ResizeObserverEntry>}
+ */
+export function nextResize(target, options) {
+    return new Promise(resolve => {
+        const iterator = new ResizeIterator(target, options, true);
+
+        iterator.next().then(({value}) => {
+            iterator.return();
+
+            resolve(value);
+        });
+    });
+}
+
+/**
+ * Returns an asynchronous iterator of the entries of provided element, which
+ * observes the element until the iteration is finished.
+ *
+ * @param {Element} target - Element to be observed.
+ * @param {Object} [options] - Options of both the observer and the observation.
+ * @returns {ResizeIterator}
+ */
+export function watch(target, options) {
+    return new ResizeIterator(target, options);
+}
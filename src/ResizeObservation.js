@@ -1,8 +1,39 @@
-import {createRectInit, getContentRect} from './utils/geometry.js';
+import config from './config.js';
+import {getElementBoxes} from './utils/geometry.js';
+import {isConnected} from './utils/dom.js';
+
+// Names of the boxes that can be observed mapped to the keys of their sizes
+// in the object returned by the "getElementBoxes" function.
+export const observedBoxes = {
+    'content-box': 'contentBoxSize',
+    'border-box': 'borderBoxSize',
+    'device-pixel-content-box': 'devicePixelContentBoxSize'
+};
+
+// Axes of the observed box, changes along which are tracked.
+export const observedAxes = ['both', 'inline', 'block'];
 
 /**
- * Class that is responsible for computations of the content rectangle of
- * provided DOM element and for keeping track of it's changes.
+ * Tells whether the difference between provided sizes is meaningful, i.e.
+ * whether it's not smaller than the threshold. Sizes that haven't been
+ * broadcast yet are always considered to be changed.
+ *
+ * @param {number} size - Current size.
+ * @param {number} broadcastSize - Last broadcast size.
+ * @param {number} threshold - Minimal difference in pixels.
+ * @returns {boolean}
+ */
+function hasChanged(size, broadcastSize, threshold) {
+    if (size === broadcastSize) {
+        return false;
+    }
+
+    return broadcastSize === -1 || Math.abs(size - broadcastSize) >= threshold;
+}
+
+/**
+ * Class that is responsible for computations of the boxes of provided DOM
+ * element and for keeping track of changes of the observed one.
  */
 export default class ResizeObservation {
     /**
@@ -13,64 +44,153 @@ export default class ResizeObservation {
     target;
 
     /**
-     * Broadcasted width of content rectangle.
+     * Box of the element, changes of which are being tracked.
+     *
+     * @type {string}
+     */
+    observedBox;
+
+    /**
+     * Minimal change of the observed size in pixels that makes observation
+     * active, or 0 if any change does.
      *
      * @type {number}
      */
-    broadcastWidth = 0;
+    threshold;
+
+    /**
+     * Axis of the observed box, changes along which are tracked: "inline",
+     * "block" or "both".
+     *
+     * @type {string}
+     */
+    axis;
 
     /**
-     * Broadcasted height of content rectangle.
+     * Broadcasted inline size of the observed box.
      *
      * @type {number}
      */
-    broadcastHeight = 0;
+    broadcastInlineSize;
+
+    /**
+     * Broadcasted block size of the observed box.
+     *
+     * @type {number}
+     */
+    broadcastBlockSize;
+
+    /**
+     * Tells whether the element has been connected to the document at any
+     * point of the observation.
+     *
+     * @type {boolean}
+     */
+    wasConnected;
 
     /**
-     * Reference to the last observed content rectangle.
+     * Controller the element has been registered with. It belongs to the
+     * document that owned the element at the time, which is not necessarily
+     * the current one as elements can be adopted by other documents.
      *
-     * @private {DOMRectInit}
+     * @type {ResizeObserverController}
      */
-    contentRect_ = createRectInit(0, 0, 0, 0);
+    controller = null;
+
+    /**
+     * Reference to the last observed boxes of the element.
+     *
+     * @private {ElementBoxes}
+     */
+    boxes_ = null;
 
     /**
      * Creates an instance of ResizeObservation.
      *
      * @param {Element} target - Element to be observed.
+     * @param {string} [observedBox='content-box'] - Box to be observed.
+     * @param {number} [threshold=0] - Minimal change of the size in pixels.
+     * @param {string} [axis='both'] - Axis of the box to be observed.
      */
-    constructor(target) {
+    constructor(target, observedBox = 'content-box', threshold = 0, axis = 'both') {
+        // According to the spec the last reported size is initially -1x-1,
+        // which guarantees an initial notification even for the elements that
+        // are hidden or empty at the time the observation begins.
+        const initialSize = config.legacyInitialObservation ? 0 : -1;
+
         this.target = target;
+        this.observedBox = observedBox;
+        this.threshold = threshold;
+        this.axis = axis;
+        this.broadcastInlineSize = initialSize;
+        this.broadcastBlockSize = initialSize;
+        this.wasConnected = isConnected(target);
+    }
+
+    /**
+     * Updates boxes of the element and tells whether the inline or the block
+     * size of the observed box has changed since the last broadcast by at
+     * least the threshold. Only the size along the observed axis is compared
+     * unless both of them are observed.
+     *
+     * @param {ElementBoxes} [boxes] - Boxes of the element if they have been
+     *      already measured, e.g. for another observation of the same element.
+     * @returns {boolean}
+     */
+    isActive(boxes = getElementBoxes(this.target)) {
+        const {axis, threshold} = this;
+        const size = boxes[observedBoxes[this.observedBox]];
+        const inlineChanged = axis !== 'block' && hasChanged(size.inlineSize, this.broadcastInlineSize, threshold);
+        const blockChanged = axis !== 'inline' && hasChanged(size.blockSize, this.broadcastBlockSize, threshold);
+
+        this.boxes_ = boxes;
+
+        return inlineChanged || blockChanged;
+    }
+
+    /**
+     * Tells whether the observation has been created with provided options.
+     *
+     * @param {string} observedBox
+     * @param {number} threshold
+     * @param {string} axis
+     * @returns {boolean}
+     */
+    hasOptions(observedBox, threshold, axis) {
+        return this.observedBox === observedBox && this.threshold === threshold && this.axis === axis;
     }
 
     /**
-     * Updates content rectangle and tells whether it's width or height properties
-     * have changed since the last broadcast.
+     * Tells whether the element has been removed from the document and the
+     * notification of its empty size has been already delivered, so that the
+     * observation is no longer useful. Elements that are observed before being
+     * added to the document are not considered to be removed.
      *
      * @returns {boolean}
      */
-    isActive() {
-        const rect = getContentRect(this.target);
+    isRemoved() {
+        if (isConnected(this.target)) {
+            this.wasConnected = true;
 
-        this.contentRect_ = rect;
+            return false;
+        }
 
-        return (
-            rect.width !== this.broadcastWidth ||
-            rect.height !== this.broadcastHeight
-        );
+        return this.wasConnected && this.broadcastInlineSize === 0 && this.broadcastBlockSize === 0;
     }
 
     /**
-     * Updates 'broadcastWidth' and 'broadcastHeight' properties with a data
-     * from the corresponding properties of the last observed content rectangle.
+     * Updates 'broadcastInlineSize' and 'broadcastBlockSize' properties with
+     * a data from the last observed size of the observed box.
      *
-     * @returns {DOMRectInit} Last observed content rectangle.
+     * @returns {ElementBoxes} Last observed boxes of the element.
      */
-    broadcastRect() {
-        const rect = this.contentRect_;
+    broadcastBoxes() {
+        const boxes = this.boxes_;
+        const size = boxes[observedBoxes[this.observedBox]];
 
-        this.broadcastWidth = rect.width;
-        this.broadcastHeight = rect.height;
+        this.broadcastInlineSize = size.inlineSize;
+        this.broadcastBlockSize = size.blockSize;
 
-        return rect;
+        return boxes;
     }
 }
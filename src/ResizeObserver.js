@@ -1,7 +1,10 @@
+import {disableElementResizeEvents, enableElementResizeEvents} from './resizeEvents.js';
+import {nextResize, watch} from './ResizeIterator.js';
 import {Map} from './shims/es6-collections.js';
 import ResizeObserverController from './ResizeObserverController.js';
 import ResizeObserverSPI from './ResizeObserverSPI.js';
 import {assertType} from './utils/assert.js';
+import {configure} from './config.js';
 
 // Registry of internal observers. If WeakMap is not available use current shim
 // for the Map collection as it has all required methods and because WeakMap
@@ -18,20 +21,100 @@ class ResizeObserver {
      *
      * @param {ResizeObserverCallback} callback - Callback that is invoked when
      *      dimensions of the observed elements change.
+     * @param {ResizeObserverInit} [options] - Options of the observer, which
+     *      are not a part of the spec and are ignored by native implementations.
      */
-    constructor(callback) {
+    constructor(callback, options) {
         assertType(this instanceof ResizeObserver, 'Cannot call a class as a function.');
         assertType(arguments.length, '1 argument required, but only 0 present.');
 
-        const controller = ResizeObserverController.getInstance();
-        const observer = new ResizeObserverSPI(callback, controller, this);
+        const observer = new ResizeObserverSPI(callback, this, options);
 
         observers.set(this, observer);
     }
+
+    /**
+     * Updates global settings of the polyfill. This method is not a part of
+     * the spec and is not available in the native implementations.
+     *
+     * @param {Object} options - Settings to be updated.
+     * @returns {Object} Values of all settings before the update, which can
+     *      be used to restore them.
+     */
+    static configure(options) {
+        return configure(options);
+    }
+
+    /**
+     * Returns statistics of the updates of observers: cumulative numbers of
+     * cycles, iterations, measured elements, invoked callbacks and their
+     * timings, along with the timings of the last cycle. This method is not
+     * a part of the spec and is not available in the native implementations.
+     *
+     * @returns {Object}
+     */
+    static getStats() {
+        return ResizeObserverController.getStats();
+    }
+
+    /**
+     * Returns a promise of the next entry of provided element, which is
+     * resolved once its observed box changes. This method is not a part of
+     * the spec and is not available in the native implementations.
+     *
+     * @param {Element} target - Element to be observed.
+     * @param {Object} [options] - Options of both the observer and the
+     *      observation, e.g. "box" or "debounce".
+     * @returns {Promise<ResizeObserverEntry>}
+     */
+    static nextResize(target, options) {
+        return nextResize(target, options);
+    }
+
+    /**
+     * Returns an asynchronous iterator of the entries of provided element,
+     * which observes the element until the iteration is finished. This
+     * method is not a part of the spec and is not available in the native
+     * implementations.
+     *
+     * @param {Element} target - Element to be observed.
+     * @param {Object} [options] - Options of both the observer and the
+     *      observation, e.g. "box" or "debounce".
+     * @returns {ResizeIterator}
+     */
+    static watch(target, options) {
+        return watch(target, options);
+    }
+
+    /**
+     * Makes provided element dispatch the non-bubbling "resize" event with
+     * the ResizeObserverEntry in its "detail" property whenever it's resized.
+     * Element is observed while it has "resize" listeners. This method is
+     * not a part of the spec and is not available in the native
+     * implementations.
+     *
+     * @param {Element} element
+     * @returns {void}
+     */
+    static enableElementResizeEvents(element) {
+        enableElementResizeEvents(element);
+    }
+
+    /**
+     * Stops dispatching the "resize" event on provided element and removes
+     * its "resize" listeners. This method is not a part of the spec and is
+     * not available in the native implementations.
+     *
+     * @param {Element} element
+     * @returns {void}
+     */
+    static disableElementResizeEvents(element) {
+        disableElementResizeEvents(element);
+    }
 }
 
 // Expose public methods of ResizeObserver.
-['observe', 'unobserve', 'disconnect'].forEach(method => {
+['observe', 'unobserve', 'disconnect', 'takeRecords'].forEach(method => {
     ResizeObserver.prototype[method] = function () {
         return observers.get(this)[method](...arguments);
     };
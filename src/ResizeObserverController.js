@@ -1,20 +1,265 @@
+import {getParentNode, getShadowRoots, isConnected} from './utils/dom.js';
+import {mark, measure} from './utils/userTiming.js';
+import {Map} from './shims/es6-collections.js';
+import ScrollSensor from './ScrollSensor.js';
+import config from './config.js';
+import {createErrorEvent} from './utils/events.js';
+import {getElementBoxes} from './utils/geometry.js';
 import isBrowser from './utils/isBrowser.js';
+import now from './utils/now.js';
+import requestAnimationFrame from './shims/requestAnimationFrame.js';
 import throttle from './utils/throttle.js';
 
+// Names of the User Timing entries added around each update of observers.
+const CYCLE_MEASURE = 'ResizeObserver cycle';
+const CYCLE_START_MARK = `${ CYCLE_MEASURE } start`;
+
+// Cumulative statistics of the updates performed by all controllers.
+const stats = {
+    cycles: 0,
+    iterations: 0,
+    measured: 0,
+    measureTime: 0,
+    callbacks: 0,
+    callbackTime: 0,
+    duration: 0,
+    lastCycle: null
+};
+
+/**
+ * Adds timings of provided cycle to the cumulative statistics.
+ *
+ * @param {Object} cycle
+ * @returns {void}
+ */
+const recordCycle = cycle => {
+    stats.cycles += 1;
+    stats.duration += cycle.duration;
+    stats.lastCycle = cycle;
+
+    cycle.iterations.forEach(iteration => {
+        stats.iterations += 1;
+        stats.measured += iteration.measured;
+        stats.measureTime += iteration.measureTime;
+        stats.callbacks += iteration.callbacks;
+        stats.callbackTime += iteration.callbackTime;
+    });
+};
+
 // Minimum delay before invoking the update of observers.
 const REFRESH_DELAY = 20;
 
+/**
+ * Default scheduler of updates, which postpones provided callback for the
+ * minimum delay and then delegates it to the requestAnimationFrame.
+ *
+ * @param {Function} callback
+ * @returns {void}
+ */
+const defaultScheduler = callback => {
+    setTimeout(() => requestAnimationFrame(callback), REFRESH_DELAY);
+};
+
+/**
+ * Schedules the update of observers with the scheduler provided in settings,
+ * which is looked up every time so that it can be replaced at any moment.
+ *
+ * @param {Function} callback
+ * @returns {void}
+ */
+const schedule = callback => {
+    const scheduler = config.scheduler || defaultScheduler;
+
+    scheduler(callback);
+};
+
+/**
+ * Schedules the update of observers on the next animation frame, which is
+ * used while CSS transitions and animations are running. Scheduler provided
+ * in settings is used instead if there is one, as it's expected to run
+ * updates inside of an application's own frame loop.
+ *
+ * @param {Function} callback
+ * @returns {void}
+ */
+const scheduleFrame = callback => {
+    if (config.scheduler) {
+        config.scheduler(callback);
+    } else {
+        requestAnimationFrame(callback);
+    }
+};
+
 // A list of substrings of CSS properties used to find transition events that
 // might affect dimensions of observed elements.
 const transitionKeys = ['top', 'right', 'bottom', 'left', 'width', 'height', 'size', 'weight'];
 
+// Events that are dispatched when a CSS transition or animation begins.
+const animationStartEvents = ['transitionrun', 'transitionstart', 'animationstart'];
+
+// Events that are dispatched when a CSS transition or animation is over.
+const animationEndEvents = ['transitionend', 'transitioncancel', 'animationend', 'animationcancel'];
+
+// Message of the error that is reported when some of the notifications
+// couldn't be delivered in a single cycle. It's the same as in the native
+// implementations.
+const LOOP_ERROR_MESSAGE = 'ResizeObserver loop completed with undelivered notifications.';
+
 // Check if MutationObserver is available.
 const mutationObserverSupported = typeof MutationObserver !== 'undefined';
 
+// Check if Mutation Events are available. They have been removed from some of
+// the browsers, in which case the "DOMSubtreeModified" event is never fired.
+const mutationEventsSupported = typeof MutationEvent !== 'undefined';
+
+// Names of the elements changes of which may affect styles of any element.
+const styleElements = ['head', 'link', 'style'];
+
+// Options used to observe mutations of the document and of shadow roots.
+const mutationObserverInit = {
+    attributes: true,
+    childList: true,
+    characterData: true,
+    subtree: true
+};
+
+/**
+ * Tells whether provided observer detects changes by means of scroll sensors.
+ *
+ * @param {ResizeObserverSPI} observer
+ * @returns {boolean}
+ */
+const usesScrollSensors = observer => observer.detection === 'scroll';
+
+/**
+ * Tells whether provided observer detects changes by checking its elements
+ * periodically.
+ *
+ * @param {ResizeObserverSPI} observer
+ * @returns {boolean}
+ */
+const usesPolling = observer => observer.detection === 'polling';
+
 /**
- * Singleton controller class which handles updates of ResizeObserver instances.
+ * Tells whether provided CSS property may affect dimensions of an element.
+ *
+ * @param {string} property - Name of the property in either the hyphenated
+ *      or the camel case.
+ * @returns {boolean}
+ */
+const isLayoutProperty = property => {
+    const name = property.toLowerCase();
+
+    return transitionKeys.some(key => name.indexOf(key) !== -1);
+};
+
+/**
+ * Finds the properties animated by the keyframes of the CSS animation, which
+ * has dispatched provided event.
+ *
+ * @param {AnimationEvent} event
+ * @returns {Array<string>|null} Names of the properties, or "null" if they
+ *      can't be found, e.g. in browsers without the Web Animations API or
+ *      once the animation is over.
+ */
+const getAnimatedProperties = ({target, animationName}) => {
+    if (typeof target.getAnimations !== 'function') {
+        return null;
+    }
+
+    const [animation] = target.getAnimations().filter(item => item.animationName === animationName);
+
+    if (!animation || !animation.effect || typeof animation.effect.getKeyframes !== 'function') {
+        return null;
+    }
+
+    const properties = [];
+
+    animation.effect.getKeyframes().forEach(keyframe => {
+        Object.keys(keyframe).forEach(key => properties.push(key));
+    });
+
+    return properties;
+};
+
+/**
+ * Tells whether an animation or a transition, which has dispatched provided
+ * event, changes dimensions of an element.
+ *
+ * @param {AnimationEvent|TransitionEvent} event
+ * @returns {boolean|null} Whether the layout is affected, or "null" if it
+ *      can't be told as keyframes of the animation can't be inspected.
+ */
+const affectsLayout = (event) => {
+    if (event.type.indexOf('animation') !== 0) {
+        return isLayoutProperty(event.propertyName || '');
+    }
+
+    const properties = getAnimatedProperties(event);
+
+    return properties ? properties.some(isLayoutProperty) : null;
+};
+
+/**
+ * Returns the name of an animation or of a transitioned property, which has
+ * dispatched provided event.
+ *
+ * @param {AnimationEvent|TransitionEvent} event
+ * @returns {string}
+ */
+const getAnimationName = event => event.animationName || event.propertyName || '';
+
+/**
+ * Tells whether provided node is a part of an element that defines styles of
+ * the document, e.g. a text node of the <style> element.
+ *
+ * @param {Node} node
+ * @returns {boolean}
+ */
+const affectsStyles = node => {
+    const element = node.nodeType === 1 ? node : node.parentNode;
+
+    return !!element && styleElements.indexOf(element.localName) !== -1;
+};
+
+/**
+ * Collects nodes that have been changed by provided mutations: the targets of
+ * the records, along with the added and removed nodes. Parents of the added
+ * and removed nodes are included as well, as inserting a node into an ancestor
+ * of an observed element, e.g. into a flex container, may change dimensions of
+ * the element.
+ *
+ * @param {Array<MutationRecord>} records
+ * @returns {Array<Node>}
+ */
+const getMutatedNodes = records => {
+    const nodes = [];
+    const {push} = Array.prototype;
+
+    records.forEach(({target, addedNodes, removedNodes}) => {
+        nodes.push(target);
+
+        push.apply(nodes, addedNodes);
+        push.apply(nodes, removedNodes);
+    });
+
+    return nodes;
+};
+
+/**
+ * Controller class which handles updates of ResizeObserver instances. There is
+ * a single instance of controller for each document that contains observed
+ * elements.
  */
 export default class ResizeObserverController {
+    /**
+     * A list of running CSS transitions and animations that may affect
+     * dimensions of elements.
+     *
+     * @private {Array<Object>}
+     */
+    animations_ = [];
+
     /**
      * Indicates whether DOM listeners have been added.
      *
@@ -22,6 +267,30 @@ export default class ResizeObserverController {
      */
     connected_ = false;
 
+    /**
+     * Document which is being tracked by the controller.
+     *
+     * @private {Document}
+     */
+    document_;
+
+    /**
+     * Window object associated with the tracked document, or "null" if the
+     * document doesn't have a browsing context, e.g. if it has been created
+     * by the DOMParser.
+     *
+     * @private {Window}
+     */
+    window_;
+
+    /**
+     * Indicates whether listeners of the document's mutations and of the
+     * events that might affect layout have been added.
+     *
+     * @private {boolean}
+     */
+    mutationListenersAdded_ = false;
+
     /**
      * Tells that controller has subscribed for Mutation Events.
      *
@@ -36,6 +305,37 @@ export default class ResizeObserverController {
      */
     mutationsObserver_ = null;
 
+    /**
+     * Observed elements that need to be measured during the next update,
+     * unless all of them need to be measured.
+     *
+     * @private {Map<Element, boolean>}
+     */
+    dirtyTargets_ = new Map();
+
+    /**
+     * Tells whether all of the observed elements need to be measured during
+     * the next update, e.g. after the window has been resized.
+     *
+     * @private {boolean}
+     */
+    fullScanRequired_ = false;
+
+    /**
+     * Descriptions of what has caused the next update, which are collected
+     * in the debug mode.
+     *
+     * @private {Array<Object>}
+     */
+    triggers_ = [];
+
+    /**
+     * Identifier of the interval used to check observed elements periodically.
+     *
+     * @private {number}
+     */
+    pollingTimer_ = null;
+
     /**
      * A list of connected observers.
      *
@@ -44,20 +344,46 @@ export default class ResizeObserverController {
     observers_ = [];
 
     /**
-     * Holds reference to the controller's instance.
+     * Registry of observed elements. Holds the observers tracking each element,
+     * shadow roots that may affect its dimensions and the scroll sensor that
+     * has been injected into it.
+     *
+     * @private {Map<Element, Object>}
+     */
+    targets_ = new Map();
+
+    /**
+     * Registry of shadow roots, mutations of which need to be tracked, along
+     * with the number of observed elements that depend on each of them.
+     *
+     * @private {Map<ShadowRoot, number>}
+     */
+    shadowRoots_ = new Map();
+
+    /**
+     * A list of controllers' instances, one per each document.
      *
-     * @private {ResizeObserverController}
+     * @private {Array<ResizeObserverController>}
      */
-    static instance_ = null;
+    static instances_ = [];
 
     /**
      * Creates a new instance of ResizeObserverController.
      *
      * @private
+     * @param {Document} document - Document to be tracked.
      */
-    constructor() {
-        this.onTransitionEnd_ = this.onTransitionEnd_.bind(this);
-        this.refresh = throttle(this.refresh.bind(this), REFRESH_DELAY);
+    constructor(document) {
+        this.document_ = document;
+        this.window_ = document.defaultView;
+
+        this.onAnimationStart_ = this.onAnimationStart_.bind(this);
+        this.onAnimationEnd_ = this.onAnimationEnd_.bind(this);
+        this.onMutations_ = this.onMutations_.bind(this);
+        this.refresh = this.refresh.bind(this);
+
+        this.scheduleUpdate_ = throttle(this.update_.bind(this), schedule);
+        this.scheduleFrame_ = throttle(this.onAnimationFrame_.bind(this), scheduleFrame);
     }
 
     /**
@@ -74,6 +400,8 @@ export default class ResizeObserverController {
         // Add listeners if they haven't been added yet.
         if (!this.connected_) {
             this.connect_();
+        } else {
+            this.updateListeners();
         }
     }
 
@@ -92,54 +420,406 @@ export default class ResizeObserverController {
             observers.splice(index, 1);
         }
 
-        // Remove listeners if controller has no connected observers.
-        if (!observers.length && this.connected_) {
+        // Remove listeners and release the instance if controller has no
+        // connected observers.
+        if (!observers.length) {
             this.disconnect_();
+            this.release_();
+        } else {
+            this.updateListeners();
         }
     }
 
     /**
-     * Invokes the update of observers. It will continue running updates insofar
-     * it detects changes.
+     * Adds element to the registry of observed elements.
      *
+     * @param {Element} target - Element that is being observed.
+     * @param {ResizeObserverSPI} observer - Observer of the element.
      * @returns {void}
      */
-    refresh() {
-        const changesDetected = this.updateObservers_();
+    addTarget(target, observer) {
+        const targets = this.targets_;
+        let record = targets.get(target);
+
+        if (!record) {
+            record = {observers: [], shadowRoots: getShadowRoots(target), sensor: null};
+
+            targets.set(target, record);
+
+            record.shadowRoots.forEach(root => this.addShadowRoot_(root));
+        }
+
+        if (record.observers.indexOf(observer) === -1) {
+            record.observers.push(observer);
+        }
+
+        this.updateSensor_(target, record);
+        this.updateListeners();
+
+        // Measure the element during the next update as it might have a new
+        // observation.
+        this.markDirty_(target, 'observe');
+    }
+
+    /**
+     * Removes element from the registry of observed elements if it's not
+     * observed by other observers.
+     *
+     * @param {Element} target - Element that is no longer observed.
+     * @param {ResizeObserverSPI} observer - Observer of the element.
+     * @returns {void}
+     */
+    removeTarget(target, observer) {
+        const targets = this.targets_;
+        const record = targets.get(target);
+
+        // Do nothing if element is not present in registry.
+        if (!record) {
+            return;
+        }
+
+        const index = record.observers.indexOf(observer);
 
-        // Continue running updates if changes have been detected as there might
-        // be future ones caused by CSS transitions.
+        if (index !== -1) {
+            record.observers.splice(index, 1);
+        }
+
+        if (!record.observers.length) {
+            targets.delete(target);
+
+            this.dirtyTargets_.delete(target);
+
+            record.shadowRoots.forEach(root => this.removeShadowRoot_(root));
+        }
+
+        this.updateSensor_(target, record);
+        this.updateListeners();
+    }
+
+    /**
+     * Schedules the update of observers which measures all of the observed
+     * elements. Used for the changes that may affect any element, e.g. when
+     * the window is resized.
+     *
+     * @param {Event} [event] - Event that has caused the update.
+     * @returns {void}
+     */
+    refresh(event) {
+        this.addTrigger_({type: event ? event.type : 'refresh', event});
+
+        this.fullScanRequired_ = true;
+
+        this.scheduleUpdate_();
+    }
+
+    /**
+     * Updates observers. Each iteration of the cycle consists of two phases:
+     * all of the elements are measured first and only then the callbacks are
+     * invoked, so that layout is computed once per iteration.
+     *
+     * Notifications are delivered in the order defined by the spec: after each
+     * broadcast only the elements that are deeper than the shallowest of the
+     * broadcast ones are notified, so that callbacks which keep resizing their
+     * targets can't cause an infinite loop. It will continue running updates
+     * insofar it detects changes.
+     *
+     * @private
+     * @returns {void}
+     */
+    update_() {
+        const {userTiming} = config;
+        const cycle = {startTime: now(), duration: 0, iterations: [], triggers: []};
+
+        if (userTiming) {
+            mark(CYCLE_START_MARK);
+        }
+
+        // Start below zero so that the elements detached from the document,
+        // which don't have any ancestors, are notified as well.
+        let depth = -1,
+            changesDetected = false;
+
+        this.moveAdopted_();
+
+        while (this.gatherActive_(depth, cycle)) {
+            depth = this.broadcastActive_(cycle);
+            changesDetected = true;
+
+            // Mutations made by callbacks need to be handled in the same cycle.
+            this.takeMutations_();
+        }
+
+        // Notifications which have been skipped will be delivered during the
+        // next update.
+        if (this.observers_.some(observer => observer.hasSkipped())) {
+            this.reportLoopError_();
+        }
+
+        // Triggers added from now on belong to the next update.
+        cycle.triggers = this.triggers_.splice(0);
+
+        // Continue running updates of the same elements if changes have been
+        // detected as there might be future ones caused by CSS transitions.
         if (changesDetected) {
-            this.refresh();
+            this.addTrigger_({type: 'continuation'});
+            this.scheduleUpdate_();
+        } else {
+            this.fullScanRequired_ = false;
+            this.dirtyTargets_.clear();
+        }
+
+        // Elements affected by the running animations are measured again on
+        // the next frame.
+        if (this.animations_.length) {
+            this.scheduleFrame_();
+        }
+
+        // Observations released here may schedule new updates, e.g. when
+        // parked elements are observed again.
+        this.observers_.slice().forEach(observer => observer.releaseRemoved());
+
+        cycle.duration = now() - cycle.startTime;
+
+        if (userTiming) {
+            measure(CYCLE_MEASURE, CYCLE_START_MARK);
+        }
+
+        recordCycle(cycle);
+
+        if (config.onCycle) {
+            config.onCycle(cycle);
         }
     }
 
     /**
-     * Updates every observer from observers list and notifies them of queued
-     * entries.
+     * Hands the elements that have been adopted by other documents over to
+     * the controllers of those documents, as the mutations of the new ones
+     * are not tracked by this controller.
      *
      * @private
+     * @returns {void}
+     */
+    moveAdopted_() {
+        const adopted = [];
+
+        this.targets_.forEach((record, target) => {
+            if (target.ownerDocument !== this.document_) {
+                adopted.push({target, observers: record.observers.slice()});
+            }
+        });
+
+        adopted.forEach(({target, observers}) => {
+            observers.forEach(observer => observer.moveTarget(target));
+        });
+    }
+
+    /**
+     * Measures observed elements and collects active observations of every
+     * observer from observers list.
+     *
+     * @private
+     * @param {number} depth - Depth of the shallowest element that has been
+     *      broadcast in the current cycle.
+     * @param {Object} cycle - Timings of the current cycle.
      * @returns {boolean} Returns "true" if any observer has detected changes in
      *      dimensions of it's elements.
      */
-    updateObservers_() {
-        // Collect observers that have active observations.
-        const activeObservers = this.observers_.filter(observer => {
-            return observer.gatherActive(), observer.hasActive();
+    gatherActive_(depth, cycle) {
+        const observers = this.observers_;
+        const startTime = now();
+        const measurements = this.measureTargets_();
+        const measureTime = now() - startTime;
+
+        observers.forEach(observer => observer.gatherActive(depth, measurements));
+
+        cycle.iterations.push({
+            measured: measurements.size,
+            measureTime,
+            callbacks: 0,
+            callbackTime: 0
         });
 
+        return observers.some(observer => observer.hasActive());
+    }
+
+    /**
+     * Measures the elements that need to be checked during the current
+     * iteration. Each element is measured once, even if it's tracked by
+     * several observers, and none of the callbacks are invoked in between,
+     * so that layout isn't recalculated for every element.
+     *
+     * @private
+     * @returns {Map<Element, ElementBoxes>}
+     */
+    measureTargets_() {
+        const measurements = new Map();
+        const targets = this.fullScanRequired_ ? this.targets_ : this.dirtyTargets_;
+
+        targets.forEach((value, target) => {
+            measurements.set(target, getElementBoxes(target));
+        });
+
+        return measurements;
+    }
+
+    /**
+     * Marks provided element to be measured during the next update and
+     * schedules the update.
+     *
+     * @private
+     * @param {Element} target
+     * @param {string} reason - Type of the trigger reported in the debug mode.
+     * @returns {void}
+     */
+    markDirty_(target, reason) {
+        this.addTrigger_({type: reason, target});
+
+        this.dirtyTargets_.set(target, true);
+
+        this.scheduleUpdate_();
+    }
+
+    /**
+     * Records what has caused the next update if the debug mode is enabled.
+     *
+     * @private
+     * @param {Object} trigger - Description of the trigger, which contains its
+     *      type along with the related event, mutation records or element.
+     * @returns {void}
+     */
+    addTrigger_(trigger) {
+        if (config.debug) {
+            this.triggers_.push(trigger);
+        }
+    }
+
+    /**
+     * Marks observed elements that might be affected by changes of provided
+     * nodes to be measured during the next update. Unless mutations are
+     * limited to the observed elements, all of them are marked.
+     *
+     * @private
+     * @param {Array<Node>} nodes - Nodes that have been changed.
+     * @returns {boolean} Whether any of the elements have been marked.
+     */
+    invalidate_(nodes) {
+        if (config.mutationScope === 'document' || nodes.some(affectsStyles)) {
+            this.fullScanRequired_ = true;
+
+            return true;
+        }
+
+        return this.invalidateRelated_(nodes);
+    }
+
+    /**
+     * Marks observed elements that contain any of provided nodes or which are
+     * contained by them to be measured during the next update.
+     *
+     * @private
+     * @param {Array<Node>} nodes - Nodes that have been changed.
+     * @returns {boolean} Whether any of the elements have been marked.
+     */
+    invalidateRelated_(nodes) {
+        const changedNodes = new Map();
+        const targets = this.targets_;
+        const dirtyTargets = this.dirtyTargets_;
+        let isInvalidated = false;
+
+        nodes.forEach(node => {
+            changedNodes.set(node, true);
+
+            // Observed elements that contain the node.
+            for (let parent = node; parent; parent = getParentNode(parent)) {
+                if (targets.has(parent)) {
+                    dirtyTargets.set(parent, true);
+                    isInvalidated = true;
+                }
+            }
+        });
+
+        // Observed elements that are contained by any of the nodes, including
+        // the ones that have been removed along with them.
+        targets.forEach((record, target) => {
+            for (let parent = target; parent; parent = getParentNode(parent)) {
+                if (changedNodes.has(parent)) {
+                    dirtyTargets.set(target, true);
+                    isInvalidated = true;
+
+                    return;
+                }
+            }
+        });
+
+        return isInvalidated;
+    }
+
+    /**
+     * Handles pending records of the MutationObserver.
+     *
+     * @private
+     * @returns {void}
+     */
+    takeMutations_() {
+        const observer = this.mutationsObserver_;
+
+        if (observer) {
+            const records = observer.takeRecords();
+
+            if (records.length && this.invalidate_(getMutatedNodes(records))) {
+                this.addTrigger_({type: 'mutations', records});
+            }
+        }
+    }
+
+    /**
+     * Notifies observers of queued entries.
+     *
+     * @private
+     * @param {Object} cycle - Timings of the current cycle.
+     * @returns {number} Depth of the shallowest element that has been broadcast.
+     */
+    broadcastActive_(cycle) {
+        const startTime = now();
+        const iteration = cycle.iterations[cycle.iterations.length - 1];
+
+        // Collect observers that have active observations.
+        const activeObservers = this.observers_.filter(observer => observer.hasActive());
+
         // Deliver notifications in a separate cycle in order to avoid any
         // collisions between observers, e.g. when multiple instances of
         // ResizeObserver are tracking the same element and the callback of one
         // of them changes content dimensions of the observed target. Sometimes
         // this may result in notifications being blocked for the rest of observers.
-        activeObservers.forEach(observer => observer.broadcastActive());
+        const depth = activeObservers.reduce((shallowestDepth, observer) => {
+            return Math.min(shallowestDepth, observer.broadcastActive());
+        }, Infinity);
+
+        iteration.callbacks = activeObservers.length;
+        iteration.callbackTime = now() - startTime;
+
+        return depth;
+    }
+
+    /**
+     * Dispatches the "error" event on the window object in the same manner as
+     * native implementations do when some notifications have been skipped.
+     *
+     * @private
+     * @returns {void}
+     */
+    reportLoopError_() {
+        // There is no window to report the error to.
+        if (!isBrowser || !this.window_) {
+            return;
+        }
 
-        return activeObservers.length > 0;
+        this.window_.dispatchEvent(createErrorEvent(this.document_, LOOP_ERROR_MESSAGE));
     }
 
     /**
-     * Initializes DOM listeners.
+     * Initializes DOM listeners and injects scroll sensors into the elements
+     * that require them.
      *
      * @private
      * @returns {void}
@@ -151,46 +831,177 @@ export default class ResizeObserverController {
             return;
         }
 
-        // Subscription to the "Transitionend" event is used as a workaround for
-        // delayed transitions. This way it's possible to capture at least the
-        // final state of an element.
-        document.addEventListener('transitionend', this.onTransitionEnd_);
+        this.connected_ = true;
+
+        this.targets_.forEach((record, target) => this.updateSensor_(target, record));
+        this.updateListeners();
+    }
+
+    /**
+     * Removes DOM listeners, scroll sensors and stops polling.
+     *
+     * @private
+     * @returns {void}
+     */
+    disconnect_() {
+        // Do nothing if running in a non-browser environment or if listeners
+        // have been already removed.
+        if (!isBrowser || !this.connected_) {
+            return;
+        }
+
+        this.connected_ = false;
 
-        window.addEventListener('resize', this.refresh);
+        this.targets_.forEach((record, target) => this.updateSensor_(target, record));
+        this.updateListeners();
+    }
+
+    /**
+     * Tells whether changes need to be detected by tracking mutations of the
+     * document, which is the case if any of the observers uses this strategy,
+     * if a scroll sensor can't be injected into some of the elements or if
+     * there are parked elements, which are resumed once they are added back.
+     *
+     * @private
+     * @returns {boolean}
+     */
+    needsMutations_() {
+        if (this.observers_.some(observer => observer.detection === 'mutations' || observer.hasParked())) {
+            return true;
+        }
+
+        let hasUnsupportedTargets = false;
+
+        // Sensors can't be injected into some of the elements, e.g. into images.
+        this.targets_.forEach(record => {
+            if (!record.sensor && record.observers.some(usesScrollSensors)) {
+                hasUnsupportedTargets = true;
+            }
+        });
+
+        return hasUnsupportedTargets;
+    }
+
+    /**
+     * Tells whether observed elements need to be checked periodically, which
+     * is the case if any of the observers uses this strategy or if mutations
+     * of the document are required but can't be tracked in current environment.
+     *
+     * @private
+     * @param {boolean} needsMutations - Whether mutations need to be tracked.
+     * @returns {boolean}
+     */
+    needsPolling_(needsMutations) {
+        // There is nothing to check if none of the elements are observed.
+        if (!this.targets_.size) {
+            return false;
+        }
+
+        if (needsMutations && !mutationObserverSupported && !mutationEventsSupported) {
+            return true;
+        }
+
+        return this.observers_.some(usesPolling);
+    }
+
+    /**
+     * Adds or removes listeners of the document's mutations and starts or
+     * stops polling depending on whether they are required by the current set
+     * of observers and elements. Observers invoke it as well once their parked
+     * elements are dropped.
+     *
+     * @returns {void}
+     */
+    updateListeners() {
+        const needsMutations = this.connected_ && this.needsMutations_();
+        const needsPolling = this.connected_ && this.needsPolling_(needsMutations);
+
+        if (needsMutations && !this.mutationListenersAdded_) {
+            this.addMutationListeners_();
+        } else if (!needsMutations && this.mutationListenersAdded_) {
+            this.removeMutationListeners_();
+        }
+
+        if (needsPolling && this.pollingTimer_ === null) {
+            this.pollingTimer_ = setInterval(() => this.refresh({type: 'polling'}), config.pollingInterval);
+        } else if (!needsPolling && this.pollingTimer_ !== null) {
+            clearInterval(this.pollingTimer_);
+
+            this.pollingTimer_ = null;
+        }
+    }
+
+    /**
+     * Injects a scroll sensor into provided element if any of its observers
+     * uses this strategy, or removes the existing sensor otherwise.
+     *
+     * @private
+     * @param {Element} target
+     * @param {Object} record - Registry record of the element.
+     * @returns {void}
+     */
+    updateSensor_(target, record) {
+        const isRequired = this.connected_ &&
+            record.observers.some(usesScrollSensors) &&
+            ScrollSensor.canAttach(target);
+
+        if (isRequired && !record.sensor) {
+            // Sensor detects changes of its own element only.
+            record.sensor = new ScrollSensor(target, () => this.markDirty_(target, 'scroll'));
+            record.sensor.attach();
+        } else if (!isRequired && record.sensor) {
+            record.sensor.detach();
+            record.sensor = null;
+        }
+    }
+
+    /**
+     * Adds listeners of the document's mutations and of the events that might
+     * affect dimensions of the observed elements.
+     *
+     * @private
+     * @returns {void}
+     */
+    addMutationListeners_() {
+        const document = this.document_;
+
+        // Elements are measured on each frame while CSS transitions and
+        // animations are running, as they don't produce any mutations.
+        this.addAnimationListeners_(document);
+
+        if (this.window_) {
+            this.window_.addEventListener('resize', this.refresh);
+        }
 
         if (mutationObserverSupported) {
-            this.mutationsObserver_ = new MutationObserver(this.refresh);
-
-            this.mutationsObserver_.observe(document, {
-                attributes: true,
-                childList: true,
-                characterData: true,
-                subtree: true
-            });
-        } else {
+            this.mutationsObserver_ = new MutationObserver(this.onMutations_);
+
+            this.observeMutations_();
+        } else if (mutationEventsSupported) {
             document.addEventListener('DOMSubtreeModified', this.refresh);
 
             this.mutationEventsAdded_ = true;
         }
 
-        this.connected_ = true;
+        this.shadowRoots_.forEach((count, root) => this.addShadowRootListeners_(root));
+
+        this.mutationListenersAdded_ = true;
     }
 
     /**
-     * Removes DOM listeners.
+     * Removes listeners added by the "addMutationListeners_" method.
      *
      * @private
      * @returns {void}
      */
-    disconnect_() {
-        // Do nothing if running in a non-browser environment or if listeners
-        // have been already removed.
-        if (!isBrowser || !this.connected_) {
-            return;
-        }
+    removeMutationListeners_() {
+        const document = this.document_;
 
-        document.removeEventListener('transitionend', this.onTransitionEnd_);
-        window.removeEventListener('resize', this.refresh);
+        this.removeAnimationListeners_(document);
+
+        if (this.window_) {
+            this.window_.removeEventListener('resize', this.refresh);
+        }
 
         if (this.mutationsObserver_) {
             this.mutationsObserver_.disconnect();
@@ -200,39 +1011,332 @@ export default class ResizeObserverController {
             document.removeEventListener('DOMSubtreeModified', this.refresh);
         }
 
+        this.shadowRoots_.forEach((count, root) => this.removeShadowRootListeners_(root));
+
+        // Scheduled update won't continue measuring animated elements.
+        this.animations_ = [];
+
         this.mutationsObserver_ = null;
         this.mutationEventsAdded_ = false;
-        this.connected_ = false;
+        this.mutationListenersAdded_ = false;
     }
 
     /**
-     * "Transitionend" event handler.
+     * Starts observing mutations of the document and of the registered
+     * shadow roots, as mutations inside of shadow trees are not visible to
+     * the observer of the document.
      *
      * @private
-     * @param {TransitionEvent} event
      * @returns {void}
      */
-    onTransitionEnd_({propertyName = ''}) {
-        // Detect whether transition may affect dimensions of an element.
-        const isReflowProperty = transitionKeys.some(key => {
-            return propertyName.indexOf(key) !== -1;
-        });
+    observeMutations_() {
+        const observer = this.mutationsObserver_;
+
+        observer.observe(this.document_, mutationObserverInit);
+
+        this.shadowRoots_.forEach((count, root) => observer.observe(root, mutationObserverInit));
+    }
+
+    /**
+     * Callback of the MutationObserver. Invokes the update of observers unless
+     * mutations are limited to the observed elements and none of the records
+     * are related to them.
+     *
+     * @private
+     * @param {Array<MutationRecord>} records
+     * @returns {void}
+     */
+    onMutations_(records) {
+        // Parked elements are not registered, so they are not invalidated by
+        // the mutations and need to be checked separately.
+        this.observers_.slice().forEach(observer => observer.resumeParked());
+
+        if (this.invalidate_(getMutatedNodes(records))) {
+            this.addTrigger_({type: 'mutations', records});
+            this.scheduleUpdate_();
+        }
+    }
+
+    /**
+     * Adds shadow root to the registry and starts tracking its changes if
+     * the controller is tracking mutations.
+     *
+     * @private
+     * @param {ShadowRoot} root
+     * @returns {void}
+     */
+    addShadowRoot_(root) {
+        const roots = this.shadowRoots_;
+
+        if (roots.has(root)) {
+            roots.set(root, roots.get(root) + 1);
+
+            return;
+        }
+
+        roots.set(root, 1);
+
+        if (!this.mutationListenersAdded_) {
+            return;
+        }
+
+        this.addShadowRootListeners_(root);
+
+        if (this.mutationsObserver_) {
+            this.mutationsObserver_.observe(root, mutationObserverInit);
+        }
+    }
+
+    /**
+     * Removes shadow root from the registry and stops tracking its changes
+     * if none of the observed elements depend on it.
+     *
+     * @private
+     * @param {ShadowRoot} root
+     * @returns {void}
+     */
+    removeShadowRoot_(root) {
+        const roots = this.shadowRoots_;
+        const count = roots.get(root) - 1;
+
+        if (count > 0) {
+            roots.set(root, count);
+
+            return;
+        }
+
+        roots.delete(root);
+
+        if (!this.mutationListenersAdded_) {
+            return;
+        }
 
-        if (isReflowProperty) {
-            this.refresh();
+        this.removeShadowRootListeners_(root);
+
+        // MutationObserver can't stop observing a single node, so it needs to
+        // be restarted with the remaining ones.
+        if (this.mutationsObserver_) {
+            this.mutationsObserver_.disconnect();
+            this.observeMutations_();
         }
     }
 
     /**
-     * Returns instance of the ResizeObserverController.
+     * Adds listeners of the events that are not propagated outside of shadow trees.
+     *
+     * @private
+     * @param {ShadowRoot} root
+     * @returns {void}
+     */
+    addShadowRootListeners_(root) {
+        this.addAnimationListeners_(root);
+        root.addEventListener('slotchange', this.refresh);
+    }
+
+    /**
+     * Removes listeners added by the "addShadowRootListeners_" method.
      *
+     * @private
+     * @param {ShadowRoot} root
+     * @returns {void}
+     */
+    removeShadowRootListeners_(root) {
+        this.removeAnimationListeners_(root);
+        root.removeEventListener('slotchange', this.refresh);
+    }
+
+    /**
+     * Adds listeners of the events of CSS transitions and animations.
+     *
+     * @private
+     * @param {Document|ShadowRoot} node
+     * @returns {void}
+     */
+    addAnimationListeners_(node) {
+        animationStartEvents.forEach(type => node.addEventListener(type, this.onAnimationStart_));
+        animationEndEvents.forEach(type => node.addEventListener(type, this.onAnimationEnd_));
+    }
+
+    /**
+     * Removes listeners added by the "addAnimationListeners_" method.
+     *
+     * @private
+     * @param {Document|ShadowRoot} node
+     * @returns {void}
+     */
+    removeAnimationListeners_(node) {
+        animationStartEvents.forEach(type => node.removeEventListener(type, this.onAnimationStart_));
+        animationEndEvents.forEach(type => node.removeEventListener(type, this.onAnimationEnd_));
+    }
+
+    /**
+     * Finds index of the running animation that has dispatched provided event.
+     *
+     * @private
+     * @param {AnimationEvent|TransitionEvent} event
+     * @returns {number}
+     */
+    indexOfAnimation_(event) {
+        const name = getAnimationName(event);
+
+        for (let i = 0; i < this.animations_.length; i++) {
+            const animation = this.animations_[i];
+
+            if (animation.target === event.target && animation.name === name) {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Handler of the events that are dispatched when a CSS transition or
+     * animation begins. Starts measuring the affected elements on each update.
+     *
+     * @private
+     * @param {AnimationEvent|TransitionEvent} event
+     * @returns {void}
+     */
+    onAnimationStart_(event) {
+        const changesLayout = affectsLayout(event);
+
+        if (changesLayout === false) {
+            return;
+        }
+
+        // Both "transitionrun" and "transitionstart" are dispatched for
+        // the same transition.
+        if (this.indexOfAnimation_(event) === -1) {
+            this.animations_.push({target: event.target, name: getAnimationName(event), changesLayout});
+        }
+
+        this.scheduleFrame_();
+    }
+
+    /**
+     * Handler of the events that are dispatched when a CSS transition or
+     * animation is over.
+     *
+     * @private
+     * @param {AnimationEvent|TransitionEvent} event
+     * @returns {void}
+     */
+    onAnimationEnd_(event) {
+        if (affectsLayout(event) === false) {
+            return;
+        }
+
+        const index = this.indexOfAnimation_(event);
+
+        if (index !== -1) {
+            this.animations_.splice(index, 1);
+        }
+
+        // Capture the final state of an element. This also handles browsers
+        // that don't dispatch the start events.
+        if (this.invalidate_([event.target])) {
+            this.addTrigger_({type: event.type, event});
+            this.scheduleUpdate_();
+        }
+    }
+
+    /**
+     * Marks the observed elements that might be affected by the running
+     * animations to be measured. Animations that are known to change the
+     * layout may affect any element, e.g. siblings of the animated one, so
+     * all of them are marked unless mutations are limited to the observed
+     * elements. Otherwise, and for the animations keyframes of which can't
+     * be inspected, only the elements that are animated themselves, or which
+     * contain or are contained by the animated elements, are marked, so that
+     * an unrelated infinite spinner doesn't cause updates.
+     *
+     * @private
+     * @returns {boolean} Whether any of the elements have been marked.
+     */
+    invalidateAnimated_() {
+        // End events are not dispatched for the elements removed from
+        // the document, so their animations are dropped here.
+        this.animations_ = this.animations_.filter(animation => isConnected(animation.target));
+
+        const animations = this.animations_;
+
+        if (config.mutationScope === 'document' && animations.some(animation => animation.changesLayout)) {
+            this.fullScanRequired_ = true;
+
+            return true;
+        }
+
+        return animations.length > 0 && this.invalidateRelated_(animations.map(animation => animation.target));
+    }
+
+    /**
+     * Updates observers on each animation frame for as long as there are
+     * running animations that might affect the observed elements. The next
+     * frame is requested at the end of the update.
+     *
+     * @private
+     * @returns {void}
+     */
+    onAnimationFrame_() {
+        if (this.invalidateAnimated_()) {
+            this.addTrigger_({type: 'animationframe'});
+            this.update_();
+        }
+    }
+
+    /**
+     * Removes controller from the list of instances, so that a new one is
+     * created the next time an element of the same document is observed.
+     *
+     * @private
+     * @returns {void}
+     */
+    release_() {
+        const instances = ResizeObserverController.instances_;
+        const index = instances.indexOf(this);
+
+        if (index !== -1) {
+            instances.splice(index, 1);
+        }
+    }
+
+    /**
+     * Returns cumulative statistics of the updates performed by all
+     * controllers along with the timings of the last one.
+     *
+     * @returns {Object}
+     */
+    static getStats() {
+        const result = {};
+
+        Object.keys(stats).forEach(key => {
+            result[key] = stats[key];
+        });
+
+        return result;
+    }
+
+    /**
+     * Returns instance of the ResizeObserverController associated with
+     * provided document. Instance is created if it doesn't exist yet.
+     *
+     * @param {Document} document - Document that contains observed elements.
      * @returns {ResizeObserverController}
      */
-    static getInstance() {
-        if (!this.instance_) {
-            this.instance_ = new ResizeObserverController();
+    static getInstance(document) {
+        const instances = this.instances_;
+
+        for (const instance of instances) {
+            if (instance.document_ === document) {
+                return instance;
+            }
         }
 
-        return this.instance_;
+        const instance = new ResizeObserverController(document);
+
+        instances.push(instance);
+
+        return instance;
     }
 }
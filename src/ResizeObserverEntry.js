@@ -1,6 +1,19 @@
+import ResizeObserverSize from './ResizeObserverSize.js';
 import {createReadOnlyRect} from './utils/geometry.js';
 import defineConfigurable from './utils/defineConfigurable.js';
 
+/**
+ * Creates a frozen list of sizes as required by the spec. The list is used
+ * in order to support fragmented elements in the future, so for now it
+ * always contains a single item.
+ *
+ * @param {ResizeObserverSizeInit} sizeInit
+ * @returns {ReadonlyArray<ResizeObserverSize>}
+ */
+function createSizeList(sizeInit) {
+    return Object.freeze([new ResizeObserverSize(sizeInit)]);
+}
+
 export default class ResizeObserverEntry {
     /**
      * Element size of which has changed.
@@ -20,14 +33,45 @@ export default class ResizeObserverEntry {
      */
     contentRect;
 
+    /**
+     * Sizes of the element's border box.
+     * Spec: https://drafts.csswg.org/resize-observer/#dom-resizeobserverentry-borderboxsize
+     *
+     * @readonly
+     * @type {ReadonlyArray<ResizeObserverSize>}
+     */
+    borderBoxSize;
+
+    /**
+     * Sizes of the element's content box.
+     * Spec: https://drafts.csswg.org/resize-observer/#dom-resizeobserverentry-contentboxsize
+     *
+     * @readonly
+     * @type {ReadonlyArray<ResizeObserverSize>}
+     */
+    contentBoxSize;
+
+    /**
+     * Sizes of the element's content box in device pixels.
+     * Spec: https://drafts.csswg.org/resize-observer/#dom-resizeobserverentry-devicepixelcontentboxsize
+     *
+     * @readonly
+     * @type {ReadonlyArray<ResizeObserverSize>}
+     */
+    devicePixelContentBoxSize;
+
     /**
      * Creates an instance of ResizeObserverEntry.
      *
      * @param {Element} target - Element that is being observed.
-     * @param {DOMRectInit} rectInit - Data of the element's content rectangle.
+     * @param {ElementBoxes} boxes - Data of the element's content rectangle
+     *      and the sizes of its boxes.
      */
-    constructor(target, rectInit) {
-        const contentRect = createReadOnlyRect(rectInit);
+    constructor(target, boxes) {
+        const contentRect = createReadOnlyRect(boxes.contentRect);
+        const borderBoxSize = createSizeList(boxes.borderBoxSize);
+        const contentBoxSize = createSizeList(boxes.contentBoxSize);
+        const devicePixelContentBoxSize = createSizeList(boxes.devicePixelContentBoxSize);
 
         // According to the specification following properties are not writable
         // and are also not enumerable in the native implementation.
@@ -35,6 +79,6 @@ export default class ResizeObserverEntry {
         // Property accessors are not being used as they'd require to define a
         // private WeakMap storage which may cause memory leaks in browsers that
         // don't support this type of collections.
-        defineConfigurable(this, {target, contentRect});
+        defineConfigurable(this, {target, contentRect, borderBoxSize, contentBoxSize, devicePixelContentBoxSize});
     }
 }
@@ -1,11 +1,17 @@
+import ResizeObservation, {observedAxes, observedBoxes} from './ResizeObservation.js';
+import config, {autoReleaseModes, detectionModes} from './config.js';
+import {getNodeDepth, isConnected} from './utils/dom.js';
 import {Map} from './shims/es6-collections.js';
-import ResizeObservation from './ResizeObservation.js';
+import ResizeObserverController from './ResizeObserverController.js';
 import ResizeObserverEntry from './ResizeObserverEntry.js';
 import {assertType} from './utils/assert.js';
 import getWindowOf from './utils/getWindowOf.js';
 
 const hasElementInterface = typeof Element !== 'undefined' && Element instanceof Object;
 
+// Check if elements can be referenced weakly.
+const weakRefsSupported = typeof WeakRef === 'function' && typeof FinalizationRegistry === 'function';
+
 /**
  * Checks if the calls to `.observe` or `.unobserve` are valid, by asserting
  * that `arguments.length` is not 0 and that the target is of type Element.
@@ -24,11 +30,138 @@ const validateMethodCall = ({length}, target) => {
         return false;
     }
 
-    assertType(target instanceof getWindowOf(target).Element, 'parameter 1 is not of type "Element".');
+    // Adopted elements keep the prototype of the realm they were created in,
+    // which differs from the one of their new document, e.g. of a popup.
+    assertType(
+        target instanceof getWindowOf(target).Element || target instanceof Element,
+        'parameter 1 is not of type "Element".'
+    );
 
     return true;
 };
 
+/**
+ * Extracts the box to be observed from the options of the `.observe` method
+ * and asserts that it's one of the boxes defined in the spec.
+ *
+ * @param {ResizeObserverOptions} [options]
+ * @returns {string}
+ */
+const getObservedBox = (options) => {
+    const {box = 'content-box'} = options || {};
+
+    assertType(
+        observedBoxes.hasOwnProperty(box),
+        `The provided value '${ box }' is not a valid enum value of type ResizeObserverBoxOptions.`
+    );
+
+    return box;
+};
+
+/**
+ * Extracts the minimal change of the size from the options of the `.observe`
+ * method and asserts that it's a non-negative number of pixels.
+ *
+ * @param {ResizeObserverOptions} [options]
+ * @returns {number}
+ */
+const getThreshold = (options) => {
+    const {threshold = 0} = options || {};
+
+    assertType(
+        typeof threshold === 'number' && threshold >= 0 && threshold < Infinity,
+        `The provided value '${ threshold }' is not a valid threshold.`
+    );
+
+    return threshold;
+};
+
+/**
+ * Extracts the axis to be observed from the options of the `.observe` method
+ * and asserts that it's one of the supported axes.
+ *
+ * @param {ResizeObserverOptions} [options]
+ * @returns {string}
+ */
+const getAxis = (options) => {
+    const {axis = 'both'} = options || {};
+
+    assertType(observedAxes.indexOf(axis) !== -1, `The provided value '${ axis }' is not a valid axis.`);
+
+    return axis;
+};
+
+/**
+ * Extracts the detection strategy from the options of the ResizeObserver
+ * constructor and asserts that it's one of the supported strategies.
+ *
+ * @param {ResizeObserverInit} [options]
+ * @returns {string}
+ */
+const getDetectionMode = (options) => {
+    const {detection = config.detection} = options || {};
+
+    assertType(
+        detectionModes.indexOf(detection) !== -1,
+        `The provided value '${ detection }' is not a valid detection strategy.`
+    );
+
+    return detection;
+};
+
+/**
+ * Extracts the mode of releasing observations of removed elements from the
+ * options of the ResizeObserver constructor and asserts that it's valid.
+ *
+ * @param {ResizeObserverInit} [options]
+ * @returns {string}
+ */
+const getAutoReleaseMode = (options) => {
+    const {autoRelease = config.autoRelease} = options || {};
+
+    assertType(
+        autoReleaseModes.indexOf(autoRelease) !== -1,
+        `The provided value '${ autoRelease }' is not a valid auto release mode.`
+    );
+
+    return autoRelease;
+};
+
+/**
+ * Extracts the delay of notifications with provided name, i.e. "debounce" or
+ * "throttle", from the options of the ResizeObserver constructor and asserts
+ * that it's a non-negative number of milliseconds.
+ *
+ * @param {ResizeObserverInit} [options]
+ * @param {string} name
+ * @returns {number}
+ */
+const getDelay = (options, name) => {
+    const {[name]: delay = 0} = options || {};
+
+    assertType(
+        typeof delay === 'number' && delay >= 0 && delay < Infinity,
+        `The provided value '${ delay }' is not a valid ${ name } delay.`
+    );
+
+    return delay;
+};
+
+/**
+ * Extracts the "leading" flag from the options of the ResizeObserver
+ * constructor and asserts that it's a boolean.
+ *
+ * @param {ResizeObserverInit} [options]
+ * @returns {boolean}
+ */
+const getLeading = (options) => {
+    const {leading = false} = options || {};
+
+    assertType(typeof leading === 'boolean', `The provided value '${ leading }' is not a valid leading flag.`);
+
+    return leading;
+};
+
 export default class ResizeObserverSPI {
     /**
      * Collection of resize observations that have detected changes in dimensions
@@ -57,12 +190,82 @@ export default class ResizeObserverSPI {
     callbackCtx_;
 
     /**
-     * Reference to the associated ResizeObserverController.
+     * Controllers of the documents that contain observed elements.
      *
      * @private
-     * @type {ResizeObserverController}
+     * @type {Array<ResizeObserverController>}
+     */
+    controllers_ = [];
+
+    /**
+     * Strategy used to detect changes of the observed elements.
+     *
+     * @type {string}
+     */
+    detection;
+
+    /**
+     * Mode of releasing observations of the elements that have been removed
+     * from the document.
+     *
+     * @type {string}
+     */
+    autoRelease;
+
+    /**
+     * Number of milliseconds that have to pass without new changes before
+     * the callback is invoked, or 0 if notifications are not debounced.
+     *
+     * @type {number}
+     */
+    debounce;
+
+    /**
+     * Minimal number of milliseconds between invocations of the callback, or
+     * 0 if notifications are not throttled.
+     *
+     * @type {number}
      */
-    controller_;
+    throttle;
+
+    /**
+     * Tells whether debounced or throttled notifications are delivered as
+     * soon as the first change happens instead of at the end of the delay.
+     *
+     * @type {boolean}
+     */
+    leading;
+
+    /**
+     * Entries that are waiting for the debounced or throttled delivery,
+     * a single one for each element with its latest size.
+     *
+     * @private {Map<Element, ResizeObserverEntry>}
+     */
+    pendingEntries_ = new Map();
+
+    /**
+     * Identifier of the timeout of the debounced or throttled delivery, or
+     * "null" if no delivery is scheduled.
+     *
+     * @private {number}
+     */
+    deliveryTimer_ = null;
+
+    /**
+     * Weakly referenced elements, observations of which have been released
+     * in the "weak" mode, along with the options they were observed with.
+     *
+     * @private {Array<Object>}
+     */
+    parkedTargets_ = [];
+
+    /**
+     * Registry that drops parked elements once they are garbage collected.
+     *
+     * @private {FinalizationRegistry}
+     */
+    registry_ = null;
 
     /**
      * Registry of the ResizeObservation instances.
@@ -72,48 +275,156 @@ export default class ResizeObserverSPI {
      */
     observations_ = new Map();
 
+    /**
+     * Collection of resize observations that have detected changes in dimensions
+     * of elements, but which are not deeper than the depth of the last broadcast
+     * and thus can't be delivered in the current cycle.
+     *
+     * @private
+     * @type {Array<ResizeObservation>}
+     */
+    skippedObservations_ = [];
+
     /**
      * Creates a new instance of ResizeObserver.
      *
      * @param {ResizeObserverCallback} callback - Callback function that is invoked
      *      when one of the observed elements changes it's content dimensions.
-     * @param {ResizeObserverController} controller - Controller instance which
-     *      is responsible for the updates of observer.
      * @param {ResizeObserver} callbackCtx - Reference to the public
      *      ResizeObserver instance which will be passed to callback function.
+     * @param {ResizeObserverInit} [options] - Options of the observer.
      */
-    constructor(callback, controller, callbackCtx) {
+    constructor(callback, callbackCtx, options) {
         assertType(typeof callback === 'function', 'The callback provided as parameter 1 is not a function.');
 
         this.callback_ = callback;
-        this.controller_ = controller;
         this.callbackCtx_ = callbackCtx;
+        this.detection = getDetectionMode(options);
+        this.autoRelease = getAutoReleaseMode(options);
+        this.debounce = getDelay(options, 'debounce');
+        this.throttle = getDelay(options, 'throttle');
+        this.leading = getLeading(options);
+
+        assertType(!this.debounce || !this.throttle, 'Notifications can\'t be both debounced and throttled.');
+
+        this.onDeliveryTimeout_ = this.onDeliveryTimeout_.bind(this);
+
+        // Observations are dropped as in the "disconnected" mode if elements
+        // can't be referenced weakly.
+        if (this.autoRelease === 'weak' && weakRefsSupported) {
+            this.registry_ = new FinalizationRegistry(entry => this.dropParked_(entry));
+        }
     }
 
     /**
-     * Starts observing provided element.
+     * Starts observing provided element. If the element is already being
+     * observed with different options, the existing observation is replaced.
      *
      * @param {Element} target - Element to be observed.
+     * @param {ResizeObserverOptions} [options] - Observation options.
      * @returns {void}
      */
-    observe(target) {
+    observe(target, options) {
         if (!validateMethodCall(arguments, target)) {
             return;
         }
 
+        const box = getObservedBox(options);
+        const threshold = getThreshold(options);
+        const axis = getAxis(options);
         const observations = this.observations_;
+        const previous = observations.get(target);
+
+        if (previous) {
+            // Do nothing if element is already being observed with the same options.
+            if (previous.hasOptions(box, threshold, axis)) {
+                return;
+            }
+
+            // According to the spec the new observation should be appended
+            // to the end of the list.
+            observations.delete(target);
+        }
+
+        const observation = new ResizeObservation(target, box, threshold, axis);
+
+        observations.set(target, observation);
+
+        this.registerTarget_(observation);
 
-        // Do nothing if element is already being observed.
-        if (observations.has(target)) {
+        // Element might have been adopted by another document since it was
+        // registered.
+        if (previous && previous.controller !== observation.controller) {
+            this.unregisterTarget_(target, previous.controller);
+        }
+    }
+
+    /**
+     * Moves observation of provided element to the controller of the document
+     * that currently owns the element. Invoked by the controller that the
+     * element has been registered with once it's adopted by another document,
+     * e.g. when it's moved to a popup window.
+     *
+     * @param {Element} target
+     * @returns {void}
+     */
+    moveTarget(target) {
+        const observation = this.observations_.get(target);
+
+        if (!observation) {
             return;
         }
 
-        observations.set(target, new ResizeObservation(target));
+        const previousController = observation.controller;
 
-        this.controller_.addObserver(this);
+        this.registerTarget_(observation);
 
-        // Force the update of observations.
-        this.controller_.refresh();
+        if (observation.controller !== previousController) {
+            this.unregisterTarget_(target, previousController);
+        }
+    }
+
+    /**
+     * Registers element of provided observation with the controller of its
+     * current document and schedules its measurement.
+     *
+     * @private
+     * @param {ResizeObservation} observation
+     * @returns {void}
+     */
+    registerTarget_(observation) {
+        const {target} = observation;
+        const controller = ResizeObserverController.getInstance(target.ownerDocument);
+
+        observation.controller = controller;
+
+        if (this.controllers_.indexOf(controller) === -1) {
+            this.controllers_.push(controller);
+        }
+
+        // Element isn't parked anymore if it has been. It's done before the
+        // element is registered, so that the controller is kept attached.
+        this.unpark_(target);
+
+        controller.addObserver(this);
+        controller.addTarget(target, this);
+    }
+
+    /**
+     * Removes provided element from the controller and detaches from it if
+     * none of the remaining elements are registered with it.
+     *
+     * @private
+     * @param {Element} target
+     * @param {ResizeObserverController} controller
+     * @returns {void}
+     */
+    unregisterTarget_(target, controller) {
+        controller.removeTarget(target, this);
+
+        if (!this.hasTargetsIn_(controller)) {
+            this.removeController_(controller);
+        }
     }
 
     /**
@@ -127,18 +438,28 @@ export default class ResizeObserverSPI {
             return;
         }
 
-        const observations = this.observations_;
+        this.unpark_(target);
+        this.pendingEntries_.delete(target);
 
         // Do nothing if element is not being observed.
-        if (!observations.has(target)) {
-            return;
+        if (this.observations_.has(target)) {
+            this.removeTarget_(target);
         }
+    }
 
-        observations.delete(target);
+    /**
+     * Removes observation of provided element and detaches from the controller
+     * if it's no longer needed.
+     *
+     * @private
+     * @param {Element} target
+     * @returns {void}
+     */
+    removeTarget_(target) {
+        const {controller} = this.observations_.get(target);
 
-        if (!observations.size) {
-            this.controller_.removeObserver(this);
-        }
+        this.observations_.delete(target);
+        this.unregisterTarget_(target, controller);
     }
 
     /**
@@ -148,56 +469,205 @@ export default class ResizeObserverSPI {
      */
     disconnect() {
         this.clearActive();
+
+        this.observations_.forEach((observation, target) => {
+            observation.controller.removeTarget(target, this);
+        });
+
         this.observations_.clear();
-        this.controller_.removeObserver(this);
+        this.cancelDelivery_();
+        this.parkedTargets_.splice(0).forEach(entry => this.registry_.unregister(entry));
+        this.controllers_.splice(0).forEach(controller => controller.removeObserver(this));
     }
 
     /**
      * Collects observation instances the associated element of which has changed
-     * it's content rectangle.
+     * the size of the observed box. Only the elements that are deeper than
+     * provided depth are considered to be active, the rest of them are skipped.
      *
+     * @param {number} depth - Depth of the shallowest element that has been
+     *      broadcast in the current cycle.
+     * @param {Map<Element, ElementBoxes>} measurements - Boxes of the elements
+     *      measured in the current iteration, which are shared by all observers.
+     *      Elements that haven't been measured are considered to be unchanged.
      * @returns {void}
      */
-    gatherActive() {
+    gatherActive(depth, measurements) {
         this.clearActive();
 
         this.observations_.forEach(observation => {
-            if (observation.isActive()) {
+            const {target} = observation;
+            const boxes = measurements.get(target);
+
+            if (!boxes || !observation.isActive(boxes)) {
+                return;
+            }
+
+            if (getNodeDepth(target) > depth) {
                 this.activeObservations_.push(observation);
+            } else {
+                this.skippedObservations_.push(observation);
             }
         });
     }
 
     /**
      * Invokes initial callback function with a list of ResizeObserverEntry
-     * instances collected from active resize observations.
+     * instances collected from active resize observations. Debounced or
+     * throttled observers queue the entries instead, but the observations
+     * are considered to be broadcast right away.
      *
-     * @returns {void}
+     * @returns {number} Depth of the shallowest element that has been broadcast.
      */
     broadcastActive() {
+        let shallowestDepth = Infinity;
+
         // Do nothing if observer doesn't have active observations.
         if (!this.hasActive()) {
-            return;
+            return shallowestDepth;
         }
 
         const ctx = this.callbackCtx_;
 
         // Create ResizeObserverEntry instance for every active observation.
         const entries = this.activeObservations_.map(observation => {
-            return new ResizeObserverEntry(observation.target, observation.broadcastRect());
+            shallowestDepth = Math.min(shallowestDepth, getNodeDepth(observation.target));
+
+            return new ResizeObserverEntry(observation.target, observation.broadcastBoxes());
         });
 
-        this.callback_.call(ctx, entries, ctx);
+        if (!this.debounce && !this.throttle) {
+            this.callback_.call(ctx, entries, ctx);
+            this.clearActive();
+
+            return shallowestDepth;
+        }
+
+        this.clearActive();
+
+        // Leading notification invokes the callback right away, which might
+        // change dimensions of elements in the current cycle. Otherwise the
+        // callback hasn't been invoked yet, so it couldn't have changed them.
+        return this.deferDelivery_(entries) ? shallowestDepth : Infinity;
+    }
+
+    /**
+     * Measures the observed elements right away and returns the entries of
+     * the ones that have changed, along with the entries that are waiting
+     * for the debounced or throttled delivery. Returned sizes are considered
+     * to be broadcast, so the callback won't be invoked for them.
+     *
+     * @returns {Array<ResizeObserverEntry>}
+     */
+    takeRecords() {
+        const entries = [];
+        const pendingEntries = this.pendingEntries_;
+
+        this.observations_.forEach(observation => {
+            if (observation.isActive()) {
+                pendingEntries.set(observation.target, new ResizeObserverEntry(
+                    observation.target,
+                    observation.broadcastBoxes()
+                ));
+            }
+        });
+
+        pendingEntries.forEach(entry => entries.push(entry));
+
         this.clearActive();
+        this.cancelDelivery_();
+
+        return entries;
+    }
+
+    /**
+     * Queues provided entries, replacing the pending entries of the same
+     * elements, and schedules their delivery according to the debounce or
+     * throttle delay.
+     *
+     * @private
+     * @param {Array<ResizeObserverEntry>} entries
+     * @returns {boolean} Whether the callback has been invoked right away.
+     */
+    deferDelivery_(entries) {
+        const isIdle = this.deliveryTimer_ === null;
+
+        entries.forEach(entry => this.pendingEntries_.set(entry.target, entry));
+
+        if (this.debounce) {
+            clearTimeout(this.deliveryTimer_);
+
+            this.deliveryTimer_ = setTimeout(this.onDeliveryTimeout_, this.debounce);
+        } else if (isIdle) {
+            this.deliveryTimer_ = setTimeout(this.onDeliveryTimeout_, this.throttle);
+        }
+
+        // Deliver the first change right away, the following ones are held
+        // until the delay has passed.
+        return isIdle && this.leading && this.deliverPending_();
+    }
+
+    /**
+     * Invokes the callback with the pending entries. Throttled observers
+     * keep the timer running after each delivery, so that the next one is
+     * delayed as well.
+     *
+     * @private
+     * @returns {void}
+     */
+    onDeliveryTimeout_() {
+        const hasPending = this.pendingEntries_.size > 0;
+
+        this.deliveryTimer_ = this.throttle && hasPending ?
+            setTimeout(this.onDeliveryTimeout_, this.throttle) :
+            null;
+
+        this.deliverPending_();
+    }
+
+    /**
+     * Invokes the callback with the pending entries, if there are any.
+     *
+     * @private
+     * @returns {boolean} Whether the callback has been invoked.
+     */
+    deliverPending_() {
+        const ctx = this.callbackCtx_;
+        const entries = [];
+
+        this.pendingEntries_.forEach(entry => entries.push(entry));
+        this.pendingEntries_.clear();
+
+        if (!entries.length) {
+            return false;
+        }
+
+        this.callback_.call(ctx, entries, ctx);
+
+        return true;
+    }
+
+    /**
+     * Drops the pending entries and cancels their scheduled delivery.
+     *
+     * @private
+     * @returns {void}
+     */
+    cancelDelivery_() {
+        clearTimeout(this.deliveryTimer_);
+
+        this.deliveryTimer_ = null;
+        this.pendingEntries_.clear();
     }
 
     /**
-     * Clears the collection of active observations.
+     * Clears the collections of active and skipped observations.
      *
      * @returns {void}
      */
     clearActive() {
         this.activeObservations_.splice(0);
+        this.skippedObservations_.splice(0);
     }
 
     /**
@@ -208,4 +678,168 @@ export default class ResizeObserverSPI {
     hasActive() {
         return this.activeObservations_.length > 0;
     }
+
+    /**
+     * Releases observations of the elements that have been removed from the
+     * document, provided that the observer is configured to do so, and resumes
+     * observations of the parked elements that have been added back.
+     *
+     * @returns {void}
+     */
+    releaseRemoved() {
+        if (this.autoRelease === 'none') {
+            return;
+        }
+
+        const removed = [];
+
+        this.resumeParked();
+
+        this.observations_.forEach(observation => {
+            if (observation.isRemoved()) {
+                removed.push(observation);
+            }
+        });
+
+        removed.forEach(observation => this.release_(observation));
+    }
+
+    /**
+     * Resumes observations of the parked elements that have been added back
+     * to the document.
+     *
+     * @returns {void}
+     */
+    resumeParked() {
+        this.parkedTargets_.slice().forEach(entry => {
+            const target = entry.ref.deref();
+
+            if (target && isConnected(target)) {
+                this.observe(target, entry.options);
+            }
+        });
+    }
+
+    /**
+     * Tells whether observer has parked elements.
+     *
+     * @returns {boolean}
+     */
+    hasParked() {
+        return this.parkedTargets_.length > 0;
+    }
+
+    /**
+     * Releases provided observation and reports its element.
+     *
+     * @private
+     * @param {ResizeObservation} observation
+     * @returns {void}
+     */
+    release_({target, observedBox: box, threshold, axis, controller}) {
+        if (this.registry_) {
+            const entry = {ref: new WeakRef(target), options: {box, threshold, axis}, controller};
+
+            // Observer stays attached to the controller, so that it's able to
+            // notice when the element is added back to the document.
+            this.observations_.delete(target);
+            this.parkedTargets_.push(entry);
+            this.registry_.register(target, entry, entry);
+
+            controller.removeTarget(target, this);
+        } else {
+            // Pending entry of the element, i.e. the one of its empty size,
+            // is still delivered if notifications are deferred.
+            this.removeTarget_(target);
+        }
+
+        if (config.onRelease) {
+            config.onRelease(target, this.callbackCtx_);
+        }
+    }
+
+    /**
+     * Removes provided element from the list of parked elements.
+     *
+     * @private
+     * @param {Element} target
+     * @returns {void}
+     */
+    unpark_(target) {
+        this.parkedTargets_
+            .filter(entry => entry.ref.deref() === target)
+            .forEach(entry => this.dropParked_(entry));
+    }
+
+    /**
+     * Removes provided entry from the list of parked elements and detaches
+     * from the controller if it's no longer needed.
+     *
+     * @private
+     * @param {Object} entry
+     * @returns {void}
+     */
+    dropParked_(entry) {
+        const parkedTargets = this.parkedTargets_;
+        const index = parkedTargets.indexOf(entry);
+
+        if (index === -1) {
+            return;
+        }
+
+        parkedTargets.splice(index, 1);
+        this.registry_.unregister(entry);
+
+        if (!this.hasTargetsIn_(entry.controller)) {
+            this.removeController_(entry.controller);
+        } else {
+            // Controller might no longer need to track mutations.
+            entry.controller.updateListeners();
+        }
+    }
+
+    /**
+     * Tells whether any of the observed or parked elements are registered
+     * with provided controller.
+     *
+     * @private
+     * @param {ResizeObserverController} controller
+     * @returns {boolean}
+     */
+    hasTargetsIn_(controller) {
+        let hasTargets = this.parkedTargets_.some(entry => entry.controller === controller);
+
+        this.observations_.forEach(observation => {
+            hasTargets = hasTargets || observation.controller === controller;
+        });
+
+        return hasTargets;
+    }
+
+    /**
+     * Removes observer from provided controller.
+     *
+     * @private
+     * @param {ResizeObserverController} controller
+     * @returns {void}
+     */
+    removeController_(controller) {
+        const controllers = this.controllers_;
+        const index = controllers.indexOf(controller);
+
+        if (index !== -1) {
+            controllers.splice(index, 1);
+        }
+
+        controller.removeObserver(this);
+    }
+
+    /**
+     * Tells whether observer has skipped observations.
+     *
+     * @returns {boolean}
+     */
+    hasSkipped() {
+        return this.skippedObservations_.length > 0;
+    }
 }
@@ -0,0 +1,32 @@
+import defineConfigurable from './utils/defineConfigurable.js';
+
+export default class ResizeObserverSize {
+    /**
+     * Length of the observed box in the inline direction.
+     * Spec: https://drafts.csswg.org/resize-observer/#dom-resizeobserversize-inlinesize
+     *
+     * @readonly
+     * @type {number}
+     */
+    inlineSize;
+
+    /**
+     * Length of the observed box in the block direction.
+     * Spec: https://drafts.csswg.org/resize-observer/#dom-resizeobserversize-blocksize
+     *
+     * @readonly
+     * @type {number}
+     */
+    blockSize;
+
+    /**
+     * Creates an instance of ResizeObserverSize.
+     *
+     * @param {ResizeObserverSizeInit} sizeInit - Dimensions of the box.
+     */
+    constructor({inlineSize, blockSize}) {
+        // Properties are defined in the same manner as the ones of the
+        // ResizeObserverEntry.
+        defineConfigurable(this, {inlineSize, blockSize});
+    }
+}
@@ -0,0 +1,409 @@
+import getWindowOf from './utils/getWindowOf.js';
+
+// Namespace of the elements that are able to host a sensor.
+const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+// Elements that can't have children or which don't render them, so a sensor
+// injected into them would never be laid out.
+const unsupportedElements = [
+    'area', 'audio', 'base', 'br', 'canvas', 'col', 'embed', 'hr', 'iframe', 'img', 'input',
+    'link', 'meta', 'meter', 'object', 'param', 'progress', 'select', 'source', 'textarea',
+    'track', 'video', 'wbr'
+];
+
+// Check if MutationObserver is available.
+const mutationObserverSupported = typeof MutationObserver !== 'undefined';
+
+// Scroll offset which is large enough to always exceed dimensions of a sensor.
+const MAX_SCROLL = 1e5;
+
+// Styles shared by the container of a sensor and by its scrollable children.
+const boxStyles = 'position:absolute;top:0;right:0;bottom:0;left:0;overflow:hidden;';
+
+// Name of the animation that is started whenever the container of a sensor
+// becomes rendered, i.e. once its element is added to the document or shown.
+const RENDER_ANIMATION = 'resize-observer-sensor-render';
+
+// Identifier of the style element that defines keyframes of the animation.
+const STYLES_ID = 'resize-observer-sensor-styles';
+
+// Events that are dispatched when the animation is over.
+const animationEndEvents = ['animationend', 'animationcancel'];
+
+// Keyframes of the animation, which doesn't change anything visible.
+const keyframesStyles = `@keyframes ${ RENDER_ANIMATION } { from { opacity: 0; } to { opacity: 0; } }`;
+
+// Styles that make the container of a sensor invisible to a user.
+const containerStyles = `${ boxStyles }z-index:-1;visibility:hidden;pointer-events:none;` +
+    `animation:1ms ${ RENDER_ANIMATION };`;
+
+// Styles of the content of the "expand" area, which is always bigger than the
+// area itself and thus the area is scrolled as soon as it grows.
+const expandContentStyles = `position:absolute;top:0;left:0;width:${ MAX_SCROLL }px;height:${ MAX_SCROLL }px;`;
+
+// Styles of the content of the "shrink" area, which is twice as big as the
+// area itself and thus the area is scrolled as soon as it shrinks.
+const shrinkContentStyles = 'position:absolute;top:0;left:0;width:200%;height:200%;';
+
+/**
+ * Creates an element with provided inline styles.
+ *
+ * @param {Document} document - Document that will own the element.
+ * @param {string} styles - Inline styles of the element.
+ * @returns {HTMLElement}
+ */
+function createBox(document, styles) {
+    const box = document.createElement('div');
+
+    box.setAttribute('style', styles);
+
+    return box;
+}
+
+/**
+ * Keeps the events of the animation of a sensor, other than its start, from
+ * reaching listeners of the page.
+ *
+ * @param {AnimationEvent} event
+ * @returns {void}
+ */
+function stopAnimationEvent(event) {
+    if (event.animationName === RENDER_ANIMATION) {
+        event.stopPropagation();
+    }
+}
+
+/**
+ * Adds keyframes of the animation of sensors to provided document, unless
+ * they have been already added.
+ *
+ * @param {Document} document
+ * @returns {void}
+ */
+function injectKeyframes(document) {
+    if (document.getElementById(STYLES_ID)) {
+        return;
+    }
+
+    const styles = document.createElement('style');
+
+    styles.id = STYLES_ID;
+    styles.textContent = keyframesStyles;
+
+    (document.head || document.documentElement).appendChild(styles);
+}
+
+/**
+ * Class that detects changes in dimensions of an element by means of two
+ * scrollable areas injected into it: one of them is scrolled when the element
+ * grows and the other one when it shrinks.
+ */
+export default class ScrollSensor {
+    /**
+     * Element which is being tracked.
+     *
+     * @private {Element}
+     */
+    target_;
+
+    /**
+     * Function that is invoked when dimensions of the element change.
+     *
+     * @private {Function}
+     */
+    callback_;
+
+    /**
+     * Container of the scrollable areas.
+     *
+     * @private {HTMLElement}
+     */
+    container_ = null;
+
+    /**
+     * Area that is scrolled when the element grows.
+     *
+     * @private {HTMLElement}
+     */
+    expand_ = null;
+
+    /**
+     * Area that is scrolled when the element shrinks.
+     *
+     * @private {HTMLElement}
+     */
+    shrink_ = null;
+
+    /**
+     * Last known width of the container.
+     *
+     * @private {number}
+     */
+    width_ = -1;
+
+    /**
+     * Last known height of the container.
+     *
+     * @private {number}
+     */
+    height_ = -1;
+
+    /**
+     * Inline value of the "position" property of the element which needs to be
+     * restored when the sensor is detached, or "null" if it hasn't been changed.
+     *
+     * @private {string}
+     */
+    position_ = null;
+
+    /**
+     * Observer of the element's children, which restores the sensor when it's
+     * removed along with the content of the element, e.g. by "innerHTML".
+     *
+     * @private {MutationObserver}
+     */
+    childrenObserver_ = null;
+
+    /**
+     * Creates an instance of ScrollSensor.
+     *
+     * @param {Element} target - Element to be tracked.
+     * @param {Function} callback - Function to be invoked when dimensions of
+     *      the element change.
+     */
+    constructor(target, callback) {
+        this.target_ = target;
+        this.callback_ = callback;
+
+        this.onScroll_ = this.onScroll_.bind(this);
+        this.onRender_ = this.onRender_.bind(this);
+        this.onChildrenChange_ = this.onChildrenChange_.bind(this);
+    }
+
+    /**
+     * Injects the sensor into the element.
+     *
+     * @returns {void}
+     */
+    attach() {
+        // Do nothing if sensor has been already attached.
+        if (this.container_) {
+            return;
+        }
+
+        const target = this.target_;
+        const document = target.ownerDocument;
+        const container = createBox(document, containerStyles);
+        const expand = createBox(document, boxStyles);
+        const shrink = createBox(document, boxStyles);
+
+        expand.appendChild(createBox(document, expandContentStyles));
+        shrink.appendChild(createBox(document, shrinkContentStyles));
+
+        container.appendChild(expand);
+        container.appendChild(shrink);
+
+        injectKeyframes(document);
+
+        this.updatePosition_();
+
+        target.appendChild(container);
+
+        expand.addEventListener('scroll', this.onScroll_);
+        shrink.addEventListener('scroll', this.onScroll_);
+        container.addEventListener('animationstart', this.onRender_);
+        animationEndEvents.forEach(type => container.addEventListener(type, stopAnimationEvent));
+
+        this.container_ = container;
+        this.expand_ = expand;
+        this.shrink_ = shrink;
+
+        this.width_ = container.offsetWidth;
+        this.height_ = container.offsetHeight;
+
+        this.reset_();
+
+        if (mutationObserverSupported) {
+            this.childrenObserver_ = new MutationObserver(this.onChildrenChange_);
+            this.childrenObserver_.observe(target, {childList: true});
+        }
+    }
+
+    /**
+     * Removes the sensor from the element and restores its styles.
+     *
+     * @returns {void}
+     */
+    detach() {
+        const container = this.container_;
+
+        // Do nothing if sensor is not attached.
+        if (!container) {
+            return;
+        }
+
+        this.expand_.removeEventListener('scroll', this.onScroll_);
+        this.shrink_.removeEventListener('scroll', this.onScroll_);
+        container.removeEventListener('animationstart', this.onRender_);
+        animationEndEvents.forEach(type => container.removeEventListener(type, stopAnimationEvent));
+
+        if (this.childrenObserver_) {
+            this.childrenObserver_.disconnect();
+            this.childrenObserver_ = null;
+        }
+
+        if (container.parentNode) {
+            container.parentNode.removeChild(container);
+        }
+
+        if (this.position_ !== null) {
+            this.target_.style.position = this.position_;
+        }
+
+        this.container_ = null;
+        this.expand_ = null;
+        this.shrink_ = null;
+        this.position_ = null;
+    }
+
+    /**
+     * Makes the element a containing block of the absolutely positioned
+     * sensor if it's not one already. Styles can't be computed while the
+     * element is detached from the document, in which case this is done
+     * once the element is rendered.
+     *
+     * @private
+     * @returns {void}
+     */
+    updatePosition_() {
+        const target = this.target_;
+        const styles = getWindowOf(target).getComputedStyle(target);
+
+        if (this.position_ === null && styles && styles.position === 'static') {
+            this.position_ = target.style.position;
+
+            target.style.position = 'relative';
+        }
+    }
+
+    /**
+     * Scrolls both areas to their ends, so that any change in dimensions of the
+     * element results in the "scroll" event of one of them.
+     *
+     * @private
+     * @returns {void}
+     */
+    reset_() {
+        const expand = this.expand_;
+        const shrink = this.shrink_;
+
+        expand.scrollLeft = MAX_SCROLL;
+        expand.scrollTop = MAX_SCROLL;
+        shrink.scrollLeft = MAX_SCROLL;
+        shrink.scrollTop = MAX_SCROLL;
+    }
+
+    /**
+     * Callback of the observer of the element's children. Injects the sensor
+     * again if it has been removed from the element, e.g. when the content of
+     * the element has been replaced by a framework, and reports the change as
+     * the new content might have different dimensions.
+     *
+     * @private
+     * @returns {void}
+     */
+    onChildrenChange_() {
+        const container = this.container_;
+
+        if (!container || container.parentNode === this.target_) {
+            return;
+        }
+
+        this.target_.appendChild(container);
+        this.reset_();
+
+        this.width_ = container.offsetWidth;
+        this.height_ = container.offsetHeight;
+
+        this.callback_();
+    }
+
+    /**
+     * Handler of the "animationstart" event of the container, which is
+     * dispatched whenever the container becomes rendered. Areas can't be
+     * scrolled while the element is detached or hidden, so they are reset
+     * here and the change is reported, as nothing else would notice it.
+     *
+     * @private
+     * @param {AnimationEvent} event
+     * @returns {void}
+     */
+    onRender_(event) {
+        if (event.animationName !== RENDER_ANIMATION) {
+            return;
+        }
+
+        // Animation of the sensor is not an animation of the page.
+        event.stopPropagation();
+
+        const container = this.container_;
+
+        // Event might have been queued before the sensor was detached.
+        if (!container) {
+            return;
+        }
+
+        this.updatePosition_();
+        this.reset_();
+
+        this.width_ = container.offsetWidth;
+        this.height_ = container.offsetHeight;
+
+        this.callback_();
+    }
+
+    /**
+     * "Scroll" event handler of the scrollable areas.
+     *
+     * @private
+     * @returns {void}
+     */
+    onScroll_() {
+        const container = this.container_;
+
+        // Event might have been queued before the sensor was detached.
+        if (!container) {
+            return;
+        }
+
+        const width = container.offsetWidth;
+        const height = container.offsetHeight;
+
+        this.reset_();
+
+        // Areas are also scrolled when they are being reset, which doesn't
+        // mean that dimensions of the element have changed.
+        if (width === this.width_ && height === this.height_) {
+            return;
+        }
+
+        this.width_ = width;
+        this.height_ = height;
+
+        this.callback_();
+    }
+
+    /**
+     * Tells whether a sensor can be injected into provided element.
+     *
+     * @param {Element} target - Element to be checked.
+     * @returns {boolean}
+     */
+    static canAttach(target) {
+        if (target.namespaceURI !== XHTML_NAMESPACE) {
+            return false;
+        }
+
+        return unsupportedElements.indexOf(target.localName) === -1;
+    }
+}
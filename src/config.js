@@ -0,0 +1,124 @@
+import {assertType} from './utils/assert.js';
+
+/**
+ * Strategies that can be used to detect changes of observed elements:
+ * - "mutations" - tracks mutations of the document along with the events that
+ *   usually precede changes in layout, e.g. the "resize" event of window;
+ * - "scroll" - injects scroll sensors into observed elements, which detect
+ *   changes of their dimensions regardless of what has caused them;
+ * - "polling" - checks dimensions of observed elements periodically.
+ *
+ * @type {Array<string>}
+ */
+export const detectionModes = ['mutations', 'scroll', 'polling'];
+
+/**
+ * Modes of releasing observations of the elements that have been removed from
+ * the document without being unobserved:
+ * - "none" - observations are kept until elements are unobserved;
+ * - "disconnected" - observations are dropped once the empty size of removed
+ *   elements has been delivered;
+ * - "weak" - same as "disconnected", but observations are resumed if elements
+ *   are added back to the document before being garbage collected.
+ *
+ * @type {Array<string>}
+ */
+export const autoReleaseModes = ['none', 'disconnected', 'weak'];
+
+// Scopes of the mutations that trigger the update of observers.
+const mutationScopes = ['document', 'targets'];
+
+/**
+ * Global settings of the polyfill.
+ *
+ * @type {Object}
+ */
+const config = {
+    // Makes observations start with the size of 0x0, as it's been done in
+    // the earlier versions of the spec, instead of -1x-1. With this setting
+    // the initial notification isn't delivered for hidden and empty elements.
+    legacyInitialObservation: false,
+
+    // Default strategy used to detect changes of observed elements. Can be
+    // overridden with the options of an observer.
+    detection: 'mutations',
+
+    // Interval in milliseconds between the checks of observed elements made
+    // by the "polling" strategy. It's also used when mutations of the document
+    // can't be tracked at all in the current environment.
+    pollingInterval: 250,
+
+    // Function that schedules the update of observers. It receives a callback
+    // which must be invoked once, preferably asynchronously. By default the
+    // update is delayed for 20ms and then deferred to the next animation frame.
+    scheduler: null,
+
+    // Defines which mutations of the document trigger the update of observers:
+    // "document" - any of them, "targets" - only the ones that touch observed
+    // elements, their ancestors, descendants or stylesheets of the document.
+    mutationScope: 'document',
+
+    // Function that is invoked after each update of observers with its timings.
+    onCycle: null,
+
+    // Default mode of releasing observations of the elements removed from
+    // the document. Can be overridden with the options of an observer.
+    autoRelease: 'none',
+
+    // Function that is invoked with an element and its observer when the
+    // observation of the element is released automatically.
+    onRelease: null,
+
+    // Adds User Timing marks and measures around each update of observers,
+    // so that they're displayed in performance traces of the browser.
+    userTiming: false,
+
+    // Makes each update of observers report what has caused it, e.g. mutation
+    // records or events, in the "triggers" list passed to the "onCycle" hook.
+    debug: false
+};
+
+// Functions that tell whether a value is valid for the corresponding setting.
+const validators = {
+    legacyInitialObservation: value => typeof value === 'boolean',
+    detection: value => detectionModes.indexOf(value) !== -1,
+    pollingInterval: value => typeof value === 'number' && value > 0 && isFinite(value),
+    scheduler: value => value === null || typeof value === 'function',
+    mutationScope: value => mutationScopes.indexOf(value) !== -1,
+    onCycle: value => value === null || typeof value === 'function',
+    autoRelease: value => autoReleaseModes.indexOf(value) !== -1,
+    onRelease: value => value === null || typeof value === 'function',
+    userTiming: value => typeof value === 'boolean',
+    debug: value => typeof value === 'boolean'
+};
+
+/**
+ * Updates provided settings of the polyfill.
+ *
+ * @param {Object} options - Settings to be updated.
+ * @returns {Object} Values of all settings before the update.
+ */
+export function configure(options) {
+    assertType(options && typeof options === 'object', 'The options provided as parameter 1 are not an object.');
+
+    const keys = Object.keys(options);
+    const previous = {};
+
+    // Validate everything beforehand so that settings are never updated partially.
+    for (const key of keys) {
+        assertType(validators.hasOwnProperty(key), `Unknown option "${ key }".`);
+        assertType(validators[key](options[key]), `The value of the "${ key }" option is not valid.`);
+    }
+
+    for (const key of Object.keys(config)) {
+        previous[key] = config[key];
+    }
+
+    for (const key of keys) {
+        config[key] = options[key];
+    }
+
+    return previous;
+}
+
+export default config;
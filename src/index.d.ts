@@ -14,27 +14,126 @@ declare global {
         (entries: ResizeObserverEntry[], observer: ResizeObserver): void
     }
 
+    interface ResizeObserverSize {
+        readonly inlineSize: number;
+        readonly blockSize: number;
+    }
+
     interface ResizeObserverEntry {
         readonly target: Element;
         readonly contentRect: DOMRectReadOnly;
+        readonly borderBoxSize: ReadonlyArray<ResizeObserverSize>;
+        readonly contentBoxSize: ReadonlyArray<ResizeObserverSize>;
+        readonly devicePixelContentBoxSize: ReadonlyArray<ResizeObserverSize>;
+    }
+
+    interface ResizeObserverOptions {
+        box?: 'content-box' | 'border-box' | 'device-pixel-content-box';
+        threshold?: number;
+        axis?: 'both' | 'inline' | 'block';
     }
 
     interface ResizeObserver {
-        observe(target: Element): void;
+        observe(target: Element, options?: ResizeObserverOptions): void;
         unobserve(target: Element): void;
         disconnect(): void;
     }
 }
 
+interface ResizeObserverCycleIteration {
+    measured: number;
+    measureTime: number;
+    callbacks: number;
+    callbackTime: number;
+}
+
+interface ResizeObserverTrigger {
+    type: string;
+    event?: Event;
+    records?: MutationRecord[];
+    target?: Element;
+}
+
+interface ResizeObserverCycle {
+    startTime: number;
+    duration: number;
+    iterations: ResizeObserverCycleIteration[];
+    triggers: ResizeObserverTrigger[];
+}
+
+interface ResizeObserverStats {
+    cycles: number;
+    iterations: number;
+    measured: number;
+    measureTime: number;
+    callbacks: number;
+    callbackTime: number;
+    duration: number;
+    lastCycle: ResizeObserverCycle | null;
+}
+
+interface ResizeObserverSettings {
+    legacyInitialObservation: boolean;
+    detection: 'mutations' | 'scroll' | 'polling';
+    pollingInterval: number;
+    scheduler: ((callback: () => void) => void) | null;
+    mutationScope: 'document' | 'targets';
+    onCycle: ((cycle: ResizeObserverCycle) => void) | null;
+    autoRelease: 'none' | 'disconnected' | 'weak';
+    onRelease: ((target: Element, observer: ResizeObserver) => void) | null;
+    userTiming: boolean;
+    debug: boolean;
+}
+
+interface ResizeObserverInit {
+    detection?: 'mutations' | 'scroll' | 'polling';
+    autoRelease?: 'none' | 'disconnected' | 'weak';
+    debounce?: number;
+    throttle?: number;
+    leading?: boolean;
+}
+
 declare var ResizeObserver: {
     prototype: ResizeObserver;
-    new(callback: ResizeObserverCallback): ResizeObserver;
+    new(callback: ResizeObserverCallback, options?: ResizeObserverInit): ResizeObserver;
+    configure?(options: Partial<ResizeObserverSettings>): ResizeObserverSettings;
+    getStats?(): ResizeObserverStats;
+    nextResize?(target: Element, options?: ResizeObserverOptions & ResizeObserverInit): Promise<ResizeObserverEntry>;
+    watch?(target: Element, options?: ResizeObserverOptions & ResizeObserverInit): ResizeObserverIterator;
+    enableElementResizeEvents?(element: Element): void;
+    disableElementResizeEvents?(element: Element): void;
+}
+
+interface ResizeObserverIterator {
+    next(): Promise<IteratorResult<ResizeObserverEntry>>;
+    return(): Promise<IteratorResult<ResizeObserverEntry>>;
+    [Symbol.asyncIterator](): ResizeObserverIterator;
 }
 
 interface ResizeObserver {
-    observe(target: Element): void;
+    observe(target: Element, options?: ResizeObserverOptions): void;
     unobserve(target: Element): void;
     disconnect(): void;
+    takeRecords?(): ResizeObserverEntry[];
 }
 
+interface ResizeObserverPolyfill extends ResizeObserver {
+    takeRecords(): ResizeObserverEntry[];
+}
+
+export var ResizeObserverPolyfill: {
+    prototype: ResizeObserverPolyfill;
+    new(callback: ResizeObserverCallback, options?: ResizeObserverInit): ResizeObserverPolyfill;
+}
+
+export function configure(options: Partial<ResizeObserverSettings>): ResizeObserverSettings;
+export function getStats(): ResizeObserverStats;
+export function nextResize(
+    target: Element,
+    options?: ResizeObserverOptions & ResizeObserverInit
+): Promise<ResizeObserverEntry>;
+export function watch(target: Element, options?: ResizeObserverOptions & ResizeObserverInit): ResizeObserverIterator;
+export function enableElementResizeEvents(element: Element): void;
+export function disableElementResizeEvents(element: Element): void;
+
 export default ResizeObserver;
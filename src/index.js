@@ -1,6 +1,30 @@
+import {disableElementResizeEvents, enableElementResizeEvents} from './resizeEvents.js';
+import {nextResize, watch} from './ResizeIterator.js';
+import ResizeObserverController from './ResizeObserverController.js';
 import ResizeObserverPolyfill from './ResizeObserver.js';
+import {configure} from './config.js';
 import global from './shims/global.js';
 
+/**
+ * Returns statistics of the updates of observers performed by the polyfill.
+ *
+ * @returns {Object}
+ */
+const getStats = () => ResizeObserverController.getStats();
+
+// Extensions of the polyfill, which are exported separately as they are not
+// available on the native implementation, along with the polyfill itself for
+// the observers that rely on its own methods, e.g. on "takeRecords".
+export {
+    ResizeObserverPolyfill,
+    configure,
+    getStats,
+    nextResize,
+    watch,
+    enableElementResizeEvents,
+    disableElementResizeEvents
+};
+
 export default (() => {
     // Export existing implementation if available.
     if (typeof global.ResizeObserver !== 'undefined') {
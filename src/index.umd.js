@@ -0,0 +1,4 @@
+// The UMD bundle exports the implementation only, so that it can be used
+// as a global and required as is. Extensions of the polyfill are available
+// as the static methods of the polyfilled implementation.
+export {default} from './index.js';
@@ -0,0 +1,273 @@
+import {Map} from './shims/es6-collections.js';
+import ResizeObserverSPI from './ResizeObserverSPI.js';
+import {assertType} from './utils/assert.js';
+import {createCustomEvent} from './utils/events.js';
+
+// Type of the events dispatched on the resized elements.
+const EVENT_TYPE = 'resize';
+
+// Elements with enabled resize events mapped to their original methods and
+// the list of registered "resize" listeners. If WeakMap is not available use
+// current shim for the Map collection, so that elements are not held in the
+// browsers that support it.
+const elements = typeof WeakMap !== 'undefined' ? new WeakMap() : new Map();
+
+// Check if elements can be referenced weakly.
+const weakRefsSupported = typeof WeakRef === 'function' && typeof FinalizationRegistry === 'function';
+
+// Observer shared by all of the elements, which is created on demand.
+let observer = null;
+
+/**
+ * Asserts that provided value is an element, or at least an event target
+ * in the environments without the Element interface.
+ *
+ * @param {Element} element
+ * @returns {void}
+ */
+const assertElement = (element) => {
+    assertType(element && typeof element.addEventListener === 'function', 'parameter 1 is not of type "Element".');
+};
+
+/**
+ * Dispatches the "resize" event with the entry on each resized element.
+ *
+ * @param {Array<ResizeObserverEntry>} entries
+ * @returns {void}
+ */
+const onResize = (entries) => {
+    entries.forEach(entry => {
+        const {target} = entry;
+
+        target.dispatchEvent(createCustomEvent(target.ownerDocument, EVENT_TYPE, entry));
+    });
+};
+
+/**
+ * Returns the shared observer of the elements. Elements removed from the
+ * document are referenced weakly, so that the ones that are never added back
+ * can be garbage collected along with their listeners. Otherwise they are
+ * kept until their listeners are removed, as their observations would be
+ * dropped for good if they were released.
+ *
+ * @returns {ResizeObserverSPI}
+ */
+const getObserver = () => {
+    if (!observer) {
+        observer = new ResizeObserverSPI(onResize, null, {autoRelease: weakRefsSupported ? 'weak' : 'none'});
+    }
+
+    return observer;
+};
+
+/**
+ * Extracts the "capture" flag from the options of "addEventListener" or
+ * "removeEventListener", which can be passed as a boolean as well.
+ *
+ * @param {Object|boolean} [options]
+ * @returns {boolean}
+ */
+const getCapture = (options) => typeof options === 'boolean' ? options : !!options && !!options.capture;
+
+/**
+ * Finds the registered listener of an element, which is identified by both
+ * the listener itself and the "capture" flag as in the DOM.
+ *
+ * @param {Object} record - Record of the element.
+ * @param {Function|Object} listener
+ * @param {boolean} capture
+ * @returns {number} Index of the listener, or -1 if it's not registered.
+ */
+const indexOfListener = ({listeners}, listener, capture) => {
+    for (let i = 0; i < listeners.length; i++) {
+        if (listeners[i].listener === listener && listeners[i].capture === capture) {
+            return i;
+        }
+    }
+
+    return -1;
+};
+
+/**
+ * Invokes provided listener, which is either a function or an object with
+ * the "handleEvent" method.
+ *
+ * @param {Function|Object} listener
+ * @param {Element} element - Element that has dispatched the event.
+ * @param {Event} event
+ * @returns {void}
+ */
+const invokeListener = (listener, element, event) => {
+    if (typeof listener === 'function') {
+        listener.call(element, event);
+    } else {
+        listener.handleEvent(event);
+    }
+};
+
+/**
+ * Unregisters provided entry of the "resize" listener of an element and stops
+ * observing the element once the last one is removed.
+ *
+ * @param {Element} element
+ * @param {Object} record - Record of the element.
+ * @param {Object} entry - Entry of the listener.
+ * @returns {void}
+ */
+const removeEntry = (element, record, entry) => {
+    const index = record.listeners.indexOf(entry);
+
+    // Listener might have been removed already.
+    if (index === -1) {
+        return;
+    }
+
+    record.listeners.splice(index, 1);
+    record.removeEventListener.call(element, EVENT_TYPE, entry.wrapper, entry.capture);
+
+    if (entry.signal) {
+        entry.signal.removeEventListener('abort', entry.onAbort);
+    }
+
+    if (!record.listeners.length) {
+        getObserver().unobserve(element);
+    }
+};
+
+/**
+ * Removes the "resize" listener of an element and stops observing the
+ * element once the last one is removed.
+ *
+ * @param {Element} element
+ * @param {Object} record - Record of the element.
+ * @param {Function|Object} listener
+ * @param {Object|boolean} [options]
+ * @returns {void}
+ */
+const removeListener = (element, record, listener, options) => {
+    const index = indexOfListener(record, listener, getCapture(options));
+
+    if (index !== -1) {
+        removeEntry(element, record, record.listeners[index]);
+    }
+};
+
+/**
+ * Registers the "resize" listener of an element and starts observing the
+ * element once the first one is added.
+ *
+ * @param {Element} element
+ * @param {Object} record - Record of the element.
+ * @param {Function|Object} listener
+ * @param {Object|boolean} [options]
+ * @returns {void}
+ */
+const addListener = (element, record, listener, options) => {
+    const capture = getCapture(options);
+    const {once = false, signal = null} = options && typeof options === 'object' ? options : {};
+
+    // Listeners can't be registered twice, same as in the DOM, and the ones
+    // with an aborted signal are not registered at all.
+    if (!listener || indexOfListener(record, listener, capture) !== -1 || signal && signal.aborted) {
+        return;
+    }
+
+    const entry = {listener, capture, wrapper: listener};
+
+    // Listeners that are invoked once need to be unregistered by the adapter
+    // as well, so that the observation is stopped in time.
+    if (once) {
+        entry.wrapper = event => {
+            removeEntry(element, record, entry);
+            invokeListener(listener, element, event);
+        };
+    }
+
+    // Signal removes the listener without invoking "removeEventListener".
+    if (signal) {
+        entry.signal = signal;
+        entry.onAbort = () => removeEntry(element, record, entry);
+
+        signal.addEventListener('abort', entry.onAbort);
+    }
+
+    record.listeners.push(entry);
+    record.addEventListener.call(element, EVENT_TYPE, entry.wrapper, options);
+
+    if (record.listeners.length === 1) {
+        getObserver().observe(element);
+    }
+};
+
+/**
+ * Makes provided element dispatch the "resize" event, which doesn't bubble
+ * and holds the ResizeObserverEntry in its "detail" property, whenever the
+ * element changes its dimensions. Element is observed only while it has
+ * the "resize" listeners added after this function has been invoked.
+ *
+ * @param {Element} element
+ * @returns {void}
+ */
+export function enableElementResizeEvents(element) {
+    assertElement(element);
+
+    // Do nothing if events are already enabled.
+    if (elements.has(element)) {
+        return;
+    }
+
+    const record = {
+        addEventListener: element.addEventListener,
+        removeEventListener: element.removeEventListener,
+        hasOwnMethods: element.hasOwnProperty('addEventListener'),
+        listeners: []
+    };
+
+    element.addEventListener = function (type, listener, options) {
+        if (type === EVENT_TYPE) {
+            addListener(element, record, listener, options);
+        } else {
+            record.addEventListener.apply(element, arguments);
+        }
+    };
+
+    element.removeEventListener = function (type, listener, options) {
+        if (type === EVENT_TYPE) {
+            removeListener(element, record, listener, options);
+        } else {
+            record.removeEventListener.apply(element, arguments);
+        }
+    };
+
+    elements.set(element, record);
+}
+
+/**
+ * Stops dispatching the "resize" event on provided element, removes its
+ * "resize" listeners and restores its original methods.
+ *
+ * @param {Element} element
+ * @returns {void}
+ */
+export function disableElementResizeEvents(element) {
+    assertElement(element);
+
+    const record = elements.get(element);
+
+    // Do nothing if events are not enabled.
+    if (!record) {
+        return;
+    }
+
+    record.listeners.slice().forEach(({listener, capture}) => removeListener(element, record, listener, capture));
+
+    if (record.hasOwnMethods) {
+        element.addEventListener = record.addEventListener;
+        element.removeEventListener = record.removeEventListener;
+    } else {
+        delete element.addEventListener;
+        delete element.removeEventListener;
+    }
+
+    elements.delete(element);
+}
@@ -0,0 +1,159 @@
+// Comments of style sheets, which are removed before parsing.
+const COMMENTS_REGEXP = /\/\*[\s\S]*?\*\//g;
+
+// Tokens of style sheets: quoted strings, braces, semicolons and everything
+// in between of them.
+const TOKENS_REGEXP = /"(?:[^"\\]|\\[\s\S])*"|'(?:[^'\\]|\\[\s\S])*'|[{};]|[^{};"']+|["']/g;
+
+// Commas that separate selectors of a list, i.e. the ones that are not
+// inside of the parentheses of pseudo-classes.
+const SELECTORS_SEPARATOR_REGEXP = /,(?![^(]*\))/;
+
+// Pseudo-element at the end of a selector, including the legacy ones that are
+// written with a single colon, e.g. ":before".
+const PSEUDO_ELEMENT_REGEXP = /(?:::[\w-]+(?:\([^)]*\))?|:(?:before|after|first-line|first-letter))$/i;
+
+// References to other resources in the "url()" functions, e.g. url("a.png").
+const URL_FUNCTION_REGEXP = /url\(\s*(["']?)([^"')]*)\1\s*\)/gi;
+
+// References to other style sheets in the strings of "@import" rules.
+const IMPORT_STRING_REGEXP = /(@import\s+)(["'])([^"']*)\2/gi;
+
+/**
+ * Splits provided style sheet, or the content of a block, into the blocks
+ * of its top level, i.e. style rules and at-rules with a body. Statement
+ * at-rules, e.g. "@import", are skipped.
+ *
+ * @param {string} css
+ * @returns {Array<Object>} List of the blocks with their "prelude", i.e.
+ *      selectors or the name of an at-rule with its conditions, and "body".
+ */
+export function parseBlocks(css) {
+    const tokens = css.replace(COMMENTS_REGEXP, '').match(TOKENS_REGEXP) || [];
+    const blocks = [];
+
+    let depth = 0,
+        prelude = '',
+        body = '';
+
+    tokens.forEach(token => {
+        if (token === '{') {
+            depth += 1;
+
+            // Opening brace of a block is not a part of its body.
+            if (depth === 1) {
+                return;
+            }
+        } else if (token === '}') {
+            depth = Math.max(depth - 1, 0);
+
+            if (depth === 0) {
+                blocks.push({prelude: prelude.trim(), body});
+
+                prelude = '';
+                body = '';
+
+                return;
+            }
+        } else if (token === ';' && depth === 0) {
+            prelude = '';
+
+            return;
+        }
+
+        if (depth === 0) {
+            prelude += token;
+        } else {
+            body += token;
+        }
+    });
+
+    return blocks;
+}
+
+/**
+ * Extracts the value of the last declaration of provided property from the
+ * body of a style rule.
+ *
+ * @param {string} body - Declarations of a style rule.
+ * @param {string} property - Name of the property.
+ * @returns {string|null} Value of the property, or "null" if it's not declared.
+ */
+export function getDeclaration(body, property) {
+    const regexp = new RegExp(`(?:^|[;\\s])${ property }\\s*:\\s*([^;]+)`, 'gi');
+
+    let value = null,
+        match = regexp.exec(body);
+
+    while (match) {
+        value = match[1].replace(/\s*!important\s*$/i, '').trim();
+        match = regexp.exec(body);
+    }
+
+    return value;
+}
+
+/**
+ * Adds provided prefix, e.g. a selector of an ancestor, to each selector of
+ * the list.
+ *
+ * @param {string} selectors - Comma separated list of selectors.
+ * @param {string} prefix
+ * @returns {string}
+ */
+export function prefixSelectors(selectors, prefix) {
+    return selectors
+        .split(SELECTORS_SEPARATOR_REGEXP)
+        .map(selector => `${ prefix } ${ selector.trim() }`)
+        .join(', ');
+}
+
+/**
+ * Appends provided simple selector, e.g. a pseudo-class, to the subject of
+ * each selector of the list, i.e. before its pseudo-element if there is one.
+ *
+ * @param {string} selectors - Comma separated list of selectors.
+ * @param {string} suffix
+ * @returns {string}
+ */
+export function appendToSubjects(selectors, suffix) {
+    return selectors
+        .split(SELECTORS_SEPARATOR_REGEXP)
+        .map(selector => {
+            const trimmed = selector.trim();
+            const match = PSEUDO_ELEMENT_REGEXP.exec(trimmed);
+            const index = match ? match.index : trimmed.length;
+
+            return `${ trimmed.slice(0, index) }${ suffix }${ trimmed.slice(index) }`;
+        })
+        .join(', ');
+}
+
+/**
+ * Removes pseudo-elements from each selector of the list, so that it can be
+ * used to find the elements which the pseudo-elements belong to.
+ *
+ * @param {string} selectors - Comma separated list of selectors.
+ * @returns {Array<string>} List of the selectors.
+ */
+export function removePseudoElements(selectors) {
+    return selectors
+        .split(SELECTORS_SEPARATOR_REGEXP)
+        // Pseudo-elements that follow a combinator, or stand alone, belong to any element.
+        .map(selector => selector.trim().replace(PSEUDO_ELEMENT_REGEXP, '').replace(/(^|[\s>+~])$/, '$1*'));
+}
+
+/**
+ * Replaces URLs of the resources referenced by provided style sheet, i.e. the
+ * ones of the "url()" functions and of the "@import" rules.
+ *
+ * @param {string} css
+ * @param {Function} replacer - Function that receives a URL and returns the
+ *      one to be used instead.
+ * @returns {string}
+ */
+export function replaceUrls(css, replacer) {
+    return css
+        .replace(URL_FUNCTION_REGEXP, (match, quote, url) => `url(${ quote }${ replacer(url) }${ quote })`)
+        .replace(IMPORT_STRING_REGEXP, (match, rule, quote, url) => `${ rule }${ quote }${ replacer(url) }${ quote }`);
+}
@@ -0,0 +1,93 @@
+// Value of the "nodeType" property of document fragments, shadow roots included.
+const DOCUMENT_FRAGMENT_NODE = 11;
+
+/**
+ * Checks whether provided node is a shadow root.
+ *
+ * @param {Node} node
+ * @returns {boolean}
+ */
+export function isShadowRoot(node) {
+    // Only shadow roots, which are document fragments, have a host element.
+    return node.nodeType === DOCUMENT_FRAGMENT_NODE && !!node.host;
+}
+
+/**
+ * Returns the parent of provided node in the composed tree, i.e. the host
+ * element is returned for the shadow roots.
+ *
+ * @param {Node} node
+ * @returns {Node|null}
+ */
+export function getParentNode(node) {
+    if (node.parentNode) {
+        return node.parentNode;
+    }
+
+    return isShadowRoot(node) ? node.host : null;
+}
+
+/**
+ * Calculates depth of provided node, which is the number of its ancestors in
+ * the composed tree.
+ * Spec: https://drafts.csswg.org/resize-observer/#calculate-depth-for-node
+ *
+ * @param {Node} node
+ * @returns {number}
+ */
+export function getNodeDepth(node) {
+    let depth = 0,
+        parent = getParentNode(node);
+
+    while (parent) {
+        depth += 1;
+        parent = getParentNode(parent);
+    }
+
+    return depth;
+}
+
+/**
+ * Collects shadow roots mutations of which may affect dimensions of provided
+ * element: the ones that contain the element or any of its ancestors, and the
+ * open shadow root attached to the element itself.
+ *
+ * @param {Element} element
+ * @returns {Array<ShadowRoot>}
+ */
+export function getShadowRoots(element) {
+    const roots = element.shadowRoot ? [element.shadowRoot] : [];
+
+    let node = element;
+
+    while (node) {
+        if (isShadowRoot(node)) {
+            roots.push(node);
+        }
+
+        node = getParentNode(node);
+    }
+
+    return roots;
+}
+
+/**
+ * Tells whether provided node is connected to its document, including the
+ * nodes of shadow trees attached to the connected elements.
+ *
+ * @param {Node} node
+ * @returns {boolean}
+ */
+export function isConnected(node) {
+    if (typeof node.isConnected === 'boolean') {
+        return node.isConnected;
+    }
+
+    let root = node;
+
+    while (getParentNode(root)) {
+        root = getParentNode(root);
+    }
+
+    return root === node.ownerDocument;
+}
@@ -0,0 +1,47 @@
+/**
+ * Creates an "error" event with provided message. Falls back to a generic
+ * event with the "message" property in browsers that don't allow to
+ * construct instances of the ErrorEvent, e.g. in Internet Explorer.
+ *
+ * @param {Document} document - Document used to create the event.
+ * @param {string} message - Message of the error.
+ * @returns {Event}
+ */
+export function createErrorEvent(document, message) {
+    const {ErrorEvent} = document.defaultView || {};
+
+    if (typeof ErrorEvent === 'function') {
+        return new ErrorEvent('error', {message});
+    }
+
+    const event = document.createEvent('Event');
+
+    event.initEvent('error', false, false);
+    event.message = message;
+
+    return event;
+}
+
+/**
+ * Creates a custom event that doesn't bubble and can't be canceled. Falls
+ * back to the "initCustomEvent" method in browsers that don't allow to
+ * construct instances of the CustomEvent, e.g. in Internet Explorer.
+ *
+ * @param {Document} document - Document used to create the event.
+ * @param {string} type - Type of the event.
+ * @param {*} detail - Data of the event.
+ * @returns {CustomEvent}
+ */
+export function createCustomEvent(document, type, detail) {
+    const {CustomEvent} = document.defaultView || {};
+
+    if (typeof CustomEvent === 'function') {
+        return new CustomEvent(type, {detail});
+    }
+
+    const event = document.createEvent('CustomEvent');
+
+    event.initCustomEvent(type, false, false, detail);
+
+    return event;
+}
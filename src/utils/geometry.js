@@ -5,6 +5,9 @@ import isBrowser from './isBrowser.js';
 // Placeholder of an empty content rectangle.
 const emptyRect = createRectInit(0, 0, 0, 0);
 
+// Placeholder of the boxes of an element that isn't rendered.
+const emptyBoxes = createBoxesInit(emptyRect, createSizeInit(0, 0), createSizeInit(0, 0), createSizeInit(0, 0));
+
 /**
  * Converts provided string to a number.
  *
@@ -50,25 +53,89 @@ function getPaddings(styles) {
 }
 
 /**
- * Calculates content rectangle of provided SVG element.
+ * Tells whether the content of an element flows vertically, in which case the
+ * inline direction of its boxes corresponds to the vertical axis.
  *
- * @param {SVGGraphicsElement} target - Element content rectangle of which needs
- *      to be calculated.
- * @returns {DOMRectInit}
+ * @param {CSSStyleDeclaration} styles
+ * @returns {boolean}
  */
-function getSVGContentRect(target) {
-    const bbox = target.getBBox();
+function isVerticalWritingMode(styles) {
+    const writingMode = styles.writingMode || styles['writing-mode'] || '';
 
-    return createRectInit(0, 0, bbox.width, bbox.height);
+    // Internet Explorer uses legacy values from the SVG 1.1 spec,
+    // e.g. "tb-rl" or "tb-lr".
+    return /^(vertical|sideways|tb)/.test(writingMode);
 }
 
 /**
- * Calculates content rectangle of provided HTMLElement.
+ * Creates an object with the logical dimensions of a box from its physical
+ * dimensions, taking into account the writing mode of the element.
  *
- * @param {HTMLElement} target - Element for which to calculate the content rectangle.
- * @returns {DOMRectInit}
+ * @param {number} width - Physical width of the box.
+ * @param {number} height - Physical height of the box.
+ * @param {boolean} isVertical - Whether the element has a vertical writing mode.
+ * @returns {ResizeObserverSizeInit}
+ */
+function createLogicalSizeInit(width, height, isVertical) {
+    return isVertical ? createSizeInit(height, width) : createSizeInit(width, height);
+}
+
+/**
+ * Converts provided CSS pixels size to the size in device pixels.
+ *
+ * @param {Element} target - Element the size of which is being converted.
+ * @param {number} size - Size in CSS pixels.
+ * @returns {number}
+ */
+function toDevicePixels(target, size) {
+    const ratio = getWindowOf(target).devicePixelRatio || 1;
+
+    return Math.round(size * ratio);
+}
+
+/**
+ * Calculates the size of a scroll bar along one of the axes of an element.
+ * Both "offset" and "client" properties are rounded, so the difference of
+ * a single pixel is considered to be a rounding error.
+ *
+ * @param {number} offsetSize - Offset width or height of the element.
+ * @param {number} clientSize - Client width or height of the element.
+ * @param {number} borders - Size of the borders along the same axis.
+ * @returns {number}
+ */
+function getScrollbarSize(offsetSize, clientSize, borders) {
+    const size = Math.round(offsetSize - clientSize - borders);
+
+    return size > 1 ? size : 0;
+}
+
+/**
+ * Calculates boxes of provided SVG element. Content and border boxes of SVG
+ * elements are both represented by their bounding box.
+ *
+ * @param {SVGGraphicsElement} target - Element boxes of which need to be calculated.
+ * @returns {ElementBoxes}
+ */
+function getSVGBoxes(target) {
+    const {width, height} = target.getBBox();
+    const isVertical = isVerticalWritingMode(getWindowOf(target).getComputedStyle(target));
+    const size = createLogicalSizeInit(width, height, isVertical);
+
+    return createBoxesInit(
+        createRectInit(0, 0, width, height),
+        size,
+        size,
+        createLogicalSizeInit(toDevicePixels(target, width), toDevicePixels(target, height), isVertical)
+    );
+}
+
+/**
+ * Calculates boxes of provided HTMLElement.
+ *
+ * @param {HTMLElement} target - Element for which to calculate the boxes.
+ * @returns {ElementBoxes}
  */
-function getHTMLElementContentRect(target) {
+function getHTMLElementBoxes(target) {
     // Client width & height properties can't be
     // used exclusively as they provide rounded values.
     const {clientWidth, clientHeight} = target;
@@ -82,20 +149,25 @@ function getHTMLElementContentRect(target) {
     // effective test for hidden elements. E.g. even jQuery's ':visible' filter
     // gives wrong results for elements with width & height less than 0.5.
     if (!clientWidth && !clientHeight) {
-        return emptyRect;
+        return emptyBoxes;
     }
 
     const styles = getWindowOf(target).getComputedStyle(target);
+    const isVertical = isVerticalWritingMode(styles);
     const paddings = getPaddings(styles);
     const horizPad = paddings.left + paddings.right;
     const vertPad = paddings.top + paddings.bottom;
+    const horizBorders = getBordersSize(styles, 'left', 'right');
+    const vertBorders = getBordersSize(styles, 'top', 'bottom');
 
     // Computed styles of width & height are being used because they are the
     // only dimensions available to JS that contain non-rounded values. It could
     // be possible to utilize the getBoundingClientRect if only it's data wasn't
     // affected by CSS transformations let alone paddings, borders and scroll bars.
     let width = toFloat(styles.width),
-        height = toFloat(styles.height);
+        height = toFloat(styles.height),
+        vertGutter = 0,
+        horizGutter = 0;
 
     // Width & height include paddings and borders when the 'border-box' box
     // model is applied (except for IE).
@@ -107,11 +179,11 @@ function getHTMLElementContentRect(target) {
         // properties then it's either IE, and thus we don't need to subtract
         // anything, or an element merely doesn't have paddings/borders styles.
         if (Math.round(width + horizPad) !== clientWidth) {
-            width -= getBordersSize(styles, 'left', 'right') + horizPad;
+            width -= horizBorders + horizPad;
         }
 
         if (Math.round(height + vertPad) !== clientHeight) {
-            height -= getBordersSize(styles, 'top', 'bottom') + vertPad;
+            height -= vertBorders + vertPad;
         }
     }
 
@@ -139,9 +211,26 @@ function getHTMLElementContentRect(target) {
         if (Math.abs(horizScrollbar) !== 1) {
             height -= horizScrollbar;
         }
+
+        // Scroll bars are a part of the border box, but only Firefox includes
+        // them into the CSS dimensions, so their size is derived from the
+        // difference between the "offset" and "client" properties instead.
+        vertGutter = getScrollbarSize(target.offsetWidth, clientWidth, horizBorders);
+        horizGutter = getScrollbarSize(target.offsetHeight, clientHeight, vertBorders);
     }
 
-    return createRectInit(paddings.left, paddings.top, width, height);
+    const borderBoxSize = createLogicalSizeInit(
+        width + horizPad + horizBorders + vertGutter,
+        height + vertPad + vertBorders + horizGutter,
+        isVertical
+    );
+
+    return createBoxesInit(
+        createRectInit(paddings.left, paddings.top, width, height),
+        createLogicalSizeInit(width, height, isVertical),
+        borderBoxSize,
+        createLogicalSizeInit(toDevicePixels(target, width), toDevicePixels(target, height), isVertical)
+    );
 }
 
 /**
@@ -177,21 +266,21 @@ function isDocumentElement(target) {
 }
 
 /**
- * Calculates an appropriate content rectangle for provided html or svg element.
+ * Calculates content rectangle and sizes of the boxes for provided html or svg element.
  *
- * @param {Element} target - Element content rectangle of which needs to be calculated.
- * @returns {DOMRectInit}
+ * @param {Element} target - Element boxes of which need to be calculated.
+ * @returns {ElementBoxes}
  */
-export function getContentRect(target) {
+export function getElementBoxes(target) {
     if (!isBrowser) {
-        return emptyRect;
+        return emptyBoxes;
     }
 
     if (isSVGGraphicsElement(target)) {
-        return getSVGContentRect(target);
+        return getSVGBoxes(target);
     }
 
-    return getHTMLElementContentRect(target);
+    return getHTMLElementBoxes(target);
 }
 
 /**
@@ -231,3 +320,31 @@ export function createReadOnlyRect({x, y, width, height}) {
 export function createRectInit(x, y, width, height) {
     return {x, y, width, height};
 }
+
+/**
+ * Creates an object with the dimensions of a box, in the format of the
+ * ResizeObserverSize interface.
+ * Spec: https://drafts.csswg.org/resize-observer/#resizeobserversize
+ *
+ * @param {number} inlineSize - Length of the box in the inline direction.
+ * @param {number} blockSize - Length of the box in the block direction.
+ * @returns {ResizeObserverSizeInit}
+ */
+export function createSizeInit(inlineSize, blockSize) {
+    return {inlineSize, blockSize};
+}
+
+/**
+ * Creates an object that holds the content rectangle of an element along with
+ * the sizes of all of its boxes that can be observed.
+ *
+ * @param {DOMRectInit} contentRect - Element's content rectangle.
+ * @param {ResizeObserverSizeInit} contentBoxSize - Size of the content box.
+ * @param {ResizeObserverSizeInit} borderBoxSize - Size of the border box.
+ * @param {ResizeObserverSizeInit} devicePixelContentBoxSize - Size of the content
+ *      box in device pixels.
+ * @returns {ElementBoxes}
+ */
+export function createBoxesInit(contentRect, contentBoxSize, borderBoxSize, devicePixelContentBoxSize) {
+    return {contentRect, contentBoxSize, borderBoxSize, devicePixelContentBoxSize};
+}
@@ -0,0 +1,17 @@
+import global from '../shims/global.js';
+
+/**
+ * Returns a high resolution timestamp in milliseconds if the Performance API
+ * is available, or the current time otherwise.
+ *
+ * @returns {number}
+ */
+export default (() => {
+    const {performance} = global;
+
+    if (performance && typeof performance.now === 'function') {
+        return () => performance.now();
+    }
+
+    return () => Date.now();
+})();
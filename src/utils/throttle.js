@@ -1,17 +1,16 @@
-import requestAnimationFrame from '../shims/requestAnimationFrame.js';
-
 // Defines minimum timeout before adding a trailing call.
 const trailingTimeout = 2;
 
 /**
  * Creates a wrapper function which ensures that provided callback will be
- * invoked only once during the specified delay period.
+ * invoked only once until the scheduled invocation is resolved.
  *
- * @param {Function} callback - Function to be invoked after the delay period.
- * @param {number} delay - Delay after which to invoke callback.
+ * @param {Function} callback - Function to be invoked.
+ * @param {Function} schedule - Function that accepts a callback and invokes
+ *      it at a later time, e.g. after a delay or in the next frame.
  * @returns {Function}
  */
-export default function (callback, delay) {
+export default function (callback, schedule) {
     let leadingCall = false,
         trailingCall = false,
         lastCallTime = 0;
@@ -34,17 +33,6 @@ export default function (callback, delay) {
         }
     }
 
-    /**
-     * Callback invoked after the specified delay. It will further postpone
-     * invocation of the original function delegating it to the
-     * requestAnimationFrame.
-     *
-     * @returns {void}
-     */
-    function timeoutCallback() {
-        requestAnimationFrame(resolvePending);
-    }
-
     /**
      * Schedules invocation of the original function.
      *
@@ -68,7 +56,7 @@ export default function (callback, delay) {
             leadingCall = true;
             trailingCall = false;
 
-            setTimeout(timeoutCallback, delay);
+            schedule(resolvePending);
         }
 
         lastCallTime = timeStamp;
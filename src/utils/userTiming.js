@@ -0,0 +1,41 @@
+// Check if the User Timing API is available.
+const userTimingSupported = typeof performance !== 'undefined' &&
+    typeof performance.mark === 'function' &&
+    typeof performance.measure === 'function';
+
+/**
+ * Adds a mark to the performance timeline of the browser.
+ *
+ * @param {string} name - Name of the mark.
+ * @returns {void}
+ */
+export function mark(name) {
+    if (userTimingSupported) {
+        performance.mark(name);
+    }
+}
+
+/**
+ * Adds a measure to the performance timeline of the browser which spans from
+ * the provided mark to the current moment. Marks are removed afterwards, so
+ * that they don't pile up in the timeline.
+ *
+ * @param {string} name - Name of the measure.
+ * @param {string} startMark - Name of the mark that starts the measure.
+ * @returns {void}
+ */
+export function measure(name, startMark) {
+    if (!userTimingSupported) {
+        return;
+    }
+
+    const endMark = `${ name } end`;
+
+    performance.mark(endMark);
+    performance.measure(name, startMark, endMark);
+
+    if (typeof performance.clearMarks === 'function') {
+        performance.clearMarks(startMark);
+        performance.clearMarks(endMark);
+    }
+}
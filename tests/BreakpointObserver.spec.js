@@ -0,0 +1,188 @@
+/* eslint-disable max-nested-callbacks, require-jsdoc */
+import {createAsyncSpy, wait} from './resources/helpers';
+import BreakpointObserver from '../src/BreakpointObserver';
+
+const breakpoints = {sm: 0, md: 300, lg: 600};
+const timeout = 300;
+
+let observer = null,
+    elements = {};
+
+function appendElements() {
+    document.body.insertAdjacentHTML('beforeend', `
+        <div id="root" style="width: 800px;">
+            <div id="target1" style="width: 200px; height: 100px;"></div>
+            <div id="target2" data-breakpoints="narrow: 0, wide: 400" style="width: 200px; height: 100px;"></div>
+        </div>
+    `);
+
+    elements = {
+        root: document.getElementById('root'),
+        target1: document.getElementById('target1'),
+        target2: document.getElementById('target2')
+    };
+}
+
+function removeElements() {
+    if (document.body.contains(elements.root)) {
+        document.body.removeChild(elements.root);
+    }
+
+    elements = {};
+}
+
+describe('BreakpointObserver', () => {
+    beforeEach(appendElements);
+
+    afterEach(() => {
+        if (observer) {
+            observer.disconnect();
+            observer = null;
+        }
+
+        removeElements();
+    });
+
+    describe('constructor', () => {
+        /* eslint-disable no-new */
+        it('throws an error if breakpoints are not valid', () => {
+            expect(() => {
+                new BreakpointObserver();
+            }).toThrowError(TypeError, /breakpoints/i);
+
+            expect(() => {
+                new BreakpointObserver({sm: 'small'});
+            }).toThrowError(TypeError, /breakpoint is not valid/i);
+
+            expect(() => {
+                new BreakpointObserver(breakpoints);
+            }).not.toThrow();
+        });
+
+        it('throws an error if callback is not a function', () => {
+            expect(() => {
+                new BreakpointObserver(breakpoints, true);
+            }).toThrowError(TypeError, /function/i);
+        });
+        /* eslint-enable no-new */
+    });
+
+    describe('observe', () => {
+        it('reflects the breakpoint in the attribute', done => {
+            const spy = createAsyncSpy();
+
+            observer = new BreakpointObserver(breakpoints, spy);
+
+            observer.observe(elements.target1);
+
+            spy.nextCall().then(async changes => {
+                expect(changes.length).toBe(1);
+                expect(changes[0].target).toBe(elements.target1);
+                expect(changes[0].breakpoint).toBe('sm');
+                expect(changes[0].previousBreakpoint).toBe(null);
+                expect(elements.target1.getAttribute('data-size')).toBe('sm');
+
+                elements.target1.style.width = '400px';
+
+                const [change] = await spy.nextCall();
+
+                expect(change.breakpoint).toBe('md');
+                expect(change.previousBreakpoint).toBe('sm');
+                expect(change.entry.contentRect.width).toBe(400);
+                expect(elements.target1.getAttribute('data-size')).toBe('md');
+            }).then(done).catch(done.fail);
+        });
+
+        it('invokes the callback only when the breakpoint changes', done => {
+            const spy = createAsyncSpy();
+
+            observer = new BreakpointObserver(breakpoints, spy);
+
+            observer.observe(elements.target1);
+
+            spy.nextCall().then(async () => {
+                elements.target1.style.width = '250px';
+
+                await wait(timeout);
+
+                expect(spy).toHaveBeenCalledTimes(1);
+                expect(elements.target1.getAttribute('data-size')).toBe('sm');
+            }).then(done).catch(done.fail);
+        });
+
+        it('reflects the breakpoint in the class', done => {
+            const spy = createAsyncSpy();
+
+            observer = new BreakpointObserver(breakpoints, spy, {classPrefix: 'size-'});
+
+            elements.target1.className = 'box';
+
+            observer.observe(elements.target1);
+
+            spy.nextCall().then(async () => {
+                expect(elements.target1.className).toBe('box size-sm');
+                expect(elements.target1.hasAttribute('data-size')).toBe(false);
+
+                elements.target1.style.width = '700px';
+
+                await spy.nextCall();
+
+                expect(elements.target1.className).toBe('box size-lg');
+            }).then(done).catch(done.fail);
+        });
+
+        it('uses breakpoints of the element', done => {
+            const spy = createAsyncSpy();
+
+            observer = new BreakpointObserver(breakpoints, spy);
+
+            observer.observe(elements.target1, {tiny: 0, small: 150});
+
+            spy.nextCall().then(() => {
+                expect(elements.target1.getAttribute('data-size')).toBe('small');
+            }).then(done).catch(done.fail);
+        });
+    });
+
+    describe('init', () => {
+        it('observes the elements with the "data-breakpoints" attribute', done => {
+            const autoObserver = BreakpointObserver.init();
+
+            wait(timeout).then(async () => {
+                expect(elements.target1.hasAttribute('data-size')).toBe(false);
+                expect(elements.target2.getAttribute('data-size')).toBe('narrow');
+
+                elements.target2.style.width = '500px';
+
+                await wait(timeout);
+
+                expect(elements.target2.getAttribute('data-size')).toBe('wide');
+            }).then(() => {
+                autoObserver.unobserve(elements.target2);
+            }).then(done).catch(error => {
+                autoObserver.unobserve(elements.target2);
+                done.fail(error);
+            });
+        });
+
+        it('skips the elements with malformed breakpoints', done => {
+            elements.target1.setAttribute('data-breakpoints', 'sm, md: 480');
+
+            let autoObserver = null;
+
+            expect(() => {
+                autoObserver = BreakpointObserver.init(elements.root);
+            }).not.toThrow();
+
+            wait(timeout).then(() => {
+                expect(elements.target1.hasAttribute('data-size')).toBe(false);
+                expect(elements.target2.getAttribute('data-size')).toBe('narrow');
+            }).then(() => {
+                autoObserver.unobserve(elements.target2);
+            }).then(done).catch(error => {
+                autoObserver.unobserve(elements.target2);
+                done.fail(error);
+            });
+        });
+    });
+});
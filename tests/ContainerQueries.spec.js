@@ -0,0 +1,250 @@
+/* eslint-disable max-nested-callbacks, require-jsdoc */
+import ContainerQueries from '../src/ContainerQueries';
+import {wait} from './resources/helpers';
+
+const timeout = 300;
+const css = `
+    .cq-card {
+        container: card / inline-size;
+        width: 300px;
+    }
+
+    .cq-panel {
+        container-type: size;
+        width: 300px;
+        height: 100px;
+    }
+
+    @container card (min-width: 400px) {
+        .cq-title {
+            width: 50px;
+        }
+    }
+
+    @container (width > 200px) and (height <= 150px) {
+        .cq-content {
+            width: 60px;
+        }
+    }
+
+    @container (orientation: landscape) {
+        .cq-content {
+            height: 70px;
+        }
+    }
+`;
+
+let polyfill = null,
+    elements = {};
+
+function appendElements() {
+    const style = document.createElement('style');
+
+    style.textContent = css;
+    document.head.appendChild(style);
+
+    document.body.insertAdjacentHTML('beforeend', `
+        <div id="cq-root">
+            <div class="cq-card" id="card"><div class="cq-title" id="title"></div></div>
+            <div class="cq-panel" id="panel"><div class="cq-content" id="content"></div></div>
+        </div>
+    `);
+
+    elements = {
+        style,
+        root: document.getElementById('cq-root'),
+        card: document.getElementById('card'),
+        title: document.getElementById('title'),
+        panel: document.getElementById('panel')
+    };
+}
+
+function removeElements() {
+    document.head.removeChild(elements.style);
+    document.body.removeChild(elements.root);
+
+    elements = {};
+}
+
+function startPolyfill() {
+    polyfill = new ContainerQueries(document);
+
+    return new Promise(resolve => polyfill.start(resolve));
+}
+
+describe('ContainerQueries', () => {
+    // Instance that is started automatically would duplicate the rules.
+    beforeAll(() => {
+        if (ContainerQueries.default) {
+            ContainerQueries.default.stop();
+        }
+    });
+
+    beforeEach(appendElements);
+
+    afterEach(() => {
+        if (polyfill) {
+            polyfill.stop();
+            polyfill = null;
+        }
+
+        removeElements();
+    });
+
+    it('marks containers that match the queries', done => {
+        startPolyfill().then(async () => {
+            await wait(timeout);
+
+            expect(elements.card.hasAttribute('data-container-query')).toBe(false);
+            expect(elements.panel.getAttribute('data-container-query')).toBe('cq1');
+
+            elements.card.style.width = '500px';
+            elements.panel.style.height = '200px';
+
+            await wait(timeout);
+
+            expect(elements.card.getAttribute('data-container-query')).toBe('cq0');
+            expect(elements.panel.hasAttribute('data-container-query')).toBe(false);
+        }).then(done).catch(done.fail);
+    });
+
+    it('applies the rewritten rules', done => {
+        startPolyfill().then(async () => {
+            elements.card.style.width = '500px';
+
+            await wait(timeout);
+
+            expect(getComputedStyle(elements.title).width).toBe('50px');
+
+            elements.card.style.width = '';
+
+            await wait(timeout);
+
+            expect(getComputedStyle(elements.title).width).not.toBe('50px');
+        }).then(done).catch(done.fail);
+    });
+
+    it('observes containers added to the document', done => {
+        startPolyfill().then(async () => {
+            const card = document.createElement('div');
+
+            card.className = 'cq-card';
+            card.style.width = '450px';
+
+            elements.root.appendChild(card);
+
+            await wait(timeout);
+
+            expect(card.getAttribute('data-container-query')).toBe('cq0');
+        }).then(done).catch(done.fail);
+    });
+
+    it('observes elements that become containers', done => {
+        startPolyfill().then(async () => {
+            const element = document.createElement('div');
+
+            element.style.width = '450px';
+            elements.root.appendChild(element);
+
+            await wait(timeout);
+
+            element.className = 'cq-card';
+
+            await wait(timeout);
+
+            expect(element.getAttribute('data-container-query')).toBe('cq0');
+        }).then(done).catch(done.fail);
+    });
+
+    it('applies the rules of the nearest container only', done => {
+        elements.card.style.width = '500px';
+        elements.card.insertAdjacentHTML('beforeend', `
+            <div class="cq-card" id="inner-card"><div class="cq-title" id="inner-title"></div></div>
+        `);
+
+        const innerCard = document.getElementById('inner-card');
+        const innerTitle = document.getElementById('inner-title');
+
+        startPolyfill().then(async () => {
+            await wait(timeout);
+
+            expect(elements.card.getAttribute('data-container-query')).toBe('cq0');
+            expect(innerCard.hasAttribute('data-container-query')).toBe(false);
+            expect(innerTitle.getAttribute('data-container-query-excluded')).toBe('cq0');
+            expect(getComputedStyle(elements.title).width).toBe('50px');
+            expect(getComputedStyle(innerTitle).width).not.toBe('50px');
+
+            innerCard.style.width = '450px';
+
+            await wait(timeout);
+
+            expect(innerTitle.hasAttribute('data-container-query-excluded')).toBe(false);
+            expect(getComputedStyle(innerTitle).width).toBe('50px');
+        }).then(done).catch(done.fail);
+    });
+
+    it('exposes the automatically started instance', () => {
+        if (ContainerQueries.isSupported()) {
+            expect(ContainerQueries.default).toBe(null);
+        } else {
+            expect(ContainerQueries.default instanceof ContainerQueries).toBe(true);
+        }
+    });
+
+    it('resolves relative URLs of the linked style sheets', done => {
+        const link = document.createElement('link');
+        const anchor = document.createElement('a');
+        const {XMLHttpRequest} = window;
+
+        // Responds with the text of the linked style sheet.
+        window.XMLHttpRequest = class {
+            open(method, url) {
+                this.url = url;
+            }
+
+            send() {
+                this.status = 200;
+                this.responseText = `
+                    @container card (min-width: 400px) {
+                        .cq-title {
+                            background: url("../images/title.png");
+                        }
+                    }
+                `;
+
+                setTimeout(this.onload);
+            }
+        };
+
+        link.rel = 'stylesheet';
+        link.href = 'styles/cards.css';
+        document.head.appendChild(link);
+
+        anchor.href = 'images/title.png';
+
+        startPolyfill().then(() => {
+            const style = document.querySelector('style[data-container-queries]');
+
+            expect(style.textContent).toContain(`url("${ anchor.href }")`);
+        }).then(() => {
+            window.XMLHttpRequest = XMLHttpRequest;
+            document.head.removeChild(link);
+        }).then(done).catch(error => {
+            window.XMLHttpRequest = XMLHttpRequest;
+            document.head.removeChild(link);
+            done.fail(error);
+        });
+    });
+
+    it('removes the rules and attributes when stopped', done => {
+        startPolyfill().then(async () => {
+            await wait(timeout);
+
+            polyfill.stop();
+
+            expect(elements.panel.hasAttribute('data-container-query')).toBe(false);
+            expect(document.querySelector('[data-container-query-excluded]')).toBe(null);
+            expect(document.querySelector('style[data-container-queries]')).toBe(null);
+        }).then(done).catch(done.fail);
+    });
+});
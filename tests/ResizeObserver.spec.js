@@ -1,9 +1,20 @@
 /* eslint-disable max-nested-callbacks, no-shadow, require-jsdoc */
 import {ResizeObserver, ResizeObserverEntry} from './resources/observer';
-import {createAsyncSpy, wait} from './resources/helpers';
+import {
+    ResizeObserverPolyfill,
+    configure,
+    disableElementResizeEvents,
+    enableElementResizeEvents,
+    getStats,
+    nextResize,
+    watch
+} from '../src/index';
+import {collectLoopErrors, createAsyncSpy, suppressLoopErrors, wait} from './resources/helpers';
 
 let observer = null,
     observer2 = null,
+    stopCollectingLoopErrors = null,
+    loopErrorsExpected = false,
     elements = {},
     styles;
 
@@ -82,9 +93,20 @@ describe('ResizeObserver', () => {
     beforeEach(() => {
         appendStyles();
         appendElements();
+
+        stopCollectingLoopErrors = collectLoopErrors();
     });
 
     afterEach(() => {
+        const loopErrors = stopCollectingLoopErrors();
+
+        // Skipped notifications are reported only by the specs that expect them.
+        if (!loopErrorsExpected) {
+            expect(loopErrors).toEqual([]);
+        }
+
+        loopErrorsExpected = false;
+
         if (observer) {
             observer.disconnect();
             observer = null;
@@ -153,6 +175,18 @@ describe('ResizeObserver', () => {
             }).toThrowError(/Element/i);
         });
 
+        it('throws an error if box option is not valid', () => {
+            observer = new ResizeObserver(emptyFn);
+
+            expect(() => {
+                observer.observe(elements.target1, {box: 'padding-box'});
+            }).toThrowError(TypeError, /ResizeObserverBoxOptions/);
+
+            expect(() => {
+                observer.observe(elements.target1, {box: 'border-box'});
+            }).not.toThrow();
+        });
+
         it('triggers when observation begins', done => {
             observer = new ResizeObserver(done);
 
@@ -254,62 +288,1038 @@ describe('ResizeObserver', () => {
             }).then(done).catch(done.fail);
         });
 
-        it('doesn\'t notify of already observed elements', done => {
-            const spy = createAsyncSpy();
+        it('delivers notifications of deeper elements in the same cycle', done => {
+            const spy = createAsyncSpy();
+            const errorSpy = jasmine.createSpy();
+
+            let shouldResizeTarget = false;
+
+            observer = new ResizeObserver((entries, ...args) => {
+                spy(entries, ...args);
+
+                if (shouldResizeTarget && entries[0].target === elements.container) {
+                    elements.target1.style.width = '100px';
+                }
+            });
+
+            observer.observe(elements.container);
+            observer.observe(elements.target1);
+
+            window.addEventListener('error', errorSpy);
+
+            spy.nextCall().then(entries => {
+                expect(entries.length).toBe(2);
+            }).then(async () => {
+                shouldResizeTarget = true;
+
+                elements.container.style.minWidth = '700px';
+
+                await wait(timeout);
+
+                expect(spy).toHaveBeenCalledTimes(3);
+
+                const [containerEntries] = spy.calls.argsFor(1);
+                const [targetEntries] = spy.calls.argsFor(2);
+
+                expect(containerEntries.length).toBe(1);
+                expect(containerEntries[0].target).toBe(elements.container);
+
+                expect(targetEntries.length).toBe(1);
+                expect(targetEntries[0].target).toBe(elements.target1);
+                expect(targetEntries[0].contentRect.width).toBe(100);
+
+                expect(errorSpy).not.toHaveBeenCalled();
+            }).then(() => {
+                window.removeEventListener('error', errorSpy);
+            }).then(done).catch(done.fail);
+        });
+
+        it('reports an error when notifications of shallower elements are skipped', done => {
+            const spy = createAsyncSpy();
+            const errorSpy = createAsyncSpy();
+            const restoreOnError = suppressLoopErrors();
+
+            let shouldResizeContainer = false;
+
+            loopErrorsExpected = true;
+
+            observer = new ResizeObserver((entries, ...args) => {
+                spy(entries, ...args);
+
+                if (shouldResizeContainer && entries[0].target === elements.target1) {
+                    elements.container.style.minWidth = '700px';
+                }
+            });
+
+            observer.observe(elements.container);
+            observer.observe(elements.target1);
+
+            window.addEventListener('error', errorSpy);
+
+            spy.nextCall().then(entries => {
+                expect(entries.length).toBe(2);
+            }).then(async () => {
+                shouldResizeContainer = true;
+
+                elements.target1.style.width = '100px';
+
+                const [event] = await Promise.all([errorSpy.nextCall(), spy.nextCall()]);
+
+                expect(event.message).toBe('ResizeObserver loop completed with undelivered notifications.');
+            }).then(async () => {
+                const entries = await spy.nextCall();
+
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(elements.container);
+                expect(entries[0].contentRect.width).toBe(700);
+            }).then(() => {
+                window.removeEventListener('error', errorSpy);
+                restoreOnError();
+            }).then(done).catch(error => {
+                window.removeEventListener('error', errorSpy);
+                restoreOnError();
+                done.fail(error);
+            });
+        });
+
+        it('doesn\'t notify of already observed elements', done => {
+            const spy = createAsyncSpy();
+
+            observer = new ResizeObserver(spy);
+
+            observer.observe(elements.target1);
+
+            spy.nextCall().then(entries => {
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(elements.target1);
+            }).then(async () => {
+                observer.observe(elements.target1);
+
+                await wait(timeout);
+
+                expect(spy).toHaveBeenCalledTimes(1);
+
+                elements.target1.style.width = '220px';
+
+                const entries = await spy.nextCall();
+
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(elements.target1);
+            }).then(done).catch(done.fail);
+        });
+
+        it('notifies of changes of the observed box', done => {
+            const spy = createAsyncSpy();
+
+            elements.target1.style.padding = '10px';
+
+            observer = new ResizeObserver(spy);
+
+            observer.observe(elements.target1, {box: 'border-box'});
+
+            spy.nextCall().then(entries => {
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(elements.target1);
+            }).then(async () => {
+                elements.target1.style.padding = '20px';
+
+                const entries = await spy.nextCall();
+
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(elements.target1);
+
+                expect(entries[0].contentRect.width).toBe(200);
+                expect(entries[0].contentRect.height).toBe(200);
+                expect(entries[0].contentRect.top).toBe(20);
+                expect(entries[0].contentRect.left).toBe(20);
+            }).then(async () => {
+                elements.target1.style.boxSizing = 'border-box';
+
+                await wait(timeout);
+
+                expect(spy).toHaveBeenCalledTimes(2);
+            }).then(done).catch(done.fail);
+        });
+
+        it('replaces observation when element is observed with a different box', done => {
+            const spy = createAsyncSpy();
+
+            observer = new ResizeObserver(spy);
+
+            observer.observe(elements.target1);
+            observer.observe(elements.target2);
+
+            spy.nextCall().then(entries => {
+                expect(entries.length).toBe(2);
+            }).then(async () => {
+                observer.observe(elements.target1, {box: 'content-box'});
+
+                await wait(timeout);
+
+                expect(spy).toHaveBeenCalledTimes(1);
+            }).then(async () => {
+                observer.observe(elements.target1, {box: 'border-box'});
+
+                const entries = await spy.nextCall();
+
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(elements.target1);
+            }).then(async () => {
+                elements.target1.style.width = '300px';
+                elements.target2.style.width = '300px';
+
+                const entries = await spy.nextCall();
+
+                expect(entries.length).toBe(2);
+
+                expect(entries[0].target).toBe(elements.target2);
+                expect(entries[1].target).toBe(elements.target1);
+            }).then(done).catch(done.fail);
+        });
+
+        it('provides sizes of all boxes', done => {
+            const spy = createAsyncSpy();
+
+            elements.target1.style.padding = '2px 4px';
+            elements.target1.style.border = '3px solid black';
+
+            observer = new ResizeObserver(spy);
+
+            observer.observe(elements.target1);
+
+            spy.nextCall().then(entries => {
+                const [entry] = entries;
+                const ratio = window.devicePixelRatio || 1;
+
+                expect(entry.contentBoxSize[0].inlineSize).toBe(200);
+                expect(entry.contentBoxSize[0].blockSize).toBe(200);
+
+                expect(entry.borderBoxSize[0].inlineSize).toBe(214);
+                expect(entry.borderBoxSize[0].blockSize).toBe(210);
+
+                expect(entry.devicePixelContentBoxSize[0].inlineSize).toBe(Math.round(200 * ratio));
+                expect(entry.devicePixelContentBoxSize[0].blockSize).toBe(Math.round(200 * ratio));
+            }).then(done).catch(done.fail);
+        });
+
+        it('handles vertical writing modes', done => {
+            const spy = createAsyncSpy();
+
+            elements.target1.style.height = '100px';
+            elements.target1.style.padding = '2px 4px';
+
+            observer = new ResizeObserver(spy);
+
+            observer.observe(elements.target1);
+
+            spy.nextCall().then(entries => {
+                expect(entries[0].contentBoxSize[0].inlineSize).toBe(200);
+                expect(entries[0].contentBoxSize[0].blockSize).toBe(100);
+            }).then(async () => {
+                elements.target1.style.writingMode = 'vertical-rl';
+
+                const entries = await spy.nextCall();
+
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(elements.target1);
+
+                expect(entries[0].contentRect.width).toBe(200);
+                expect(entries[0].contentRect.height).toBe(100);
+
+                expect(entries[0].contentBoxSize[0].inlineSize).toBe(100);
+                expect(entries[0].contentBoxSize[0].blockSize).toBe(200);
+
+                expect(entries[0].borderBoxSize[0].inlineSize).toBe(104);
+                expect(entries[0].borderBoxSize[0].blockSize).toBe(208);
+            }).then(async () => {
+                elements.target1.style.writingMode = 'vertical-lr';
+
+                await wait(timeout);
+
+                expect(spy).toHaveBeenCalledTimes(2);
+            }).then(done).catch(done.fail);
+        });
+
+        it('handles elements that are not yet in the DOM', done => {
+            elements.root.removeChild(elements.container);
+            elements.container.removeChild(elements.target1);
+
+            const spy = createAsyncSpy();
+
+            observer = new ResizeObserver(spy);
+
+            observer.observe(elements.target1);
+
+            spy.nextCall().then(entries => {
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(elements.target1);
+
+                expect(entries[0].contentRect.width).toBe(0);
+                expect(entries[0].contentRect.height).toBe(0);
+            }).then(async () => {
+                elements.container.appendChild(elements.target1);
+
+                await wait(timeout);
+
+                expect(spy).toHaveBeenCalledTimes(1);
+            }).then(async () => {
+                elements.root.appendChild(elements.container);
+
+                const entries = await spy.nextCall();
+
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(elements.target1);
+
+                expect(entries[0].contentRect.width).toBe(200);
+                expect(entries[0].contentRect.height).toBe(200);
+            }).then(done).catch(done.fail);
+        });
+
+        if (typeof ResizeObserver.configure === 'function') {
+            it('doesn\'t notify of hidden elements with legacy initial observations', done => {
+                const spy = createAsyncSpy();
+                const settings = ResizeObserver.configure({legacyInitialObservation: true});
+
+                elements.target1.style.display = 'none';
+
+                observer = new ResizeObserver(spy);
+
+                observer.observe(elements.target1);
+                observer.observe(elements.target2);
+
+                ResizeObserver.configure(settings);
+
+                spy.nextCall().then(entries => {
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].target).toBe(elements.target2);
+                }).then(async () => {
+                    elements.target1.style.display = 'block';
+
+                    const entries = await spy.nextCall();
+
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].target).toBe(elements.target1);
+
+                    expect(entries[0].contentRect.width).toBe(200);
+                    expect(entries[0].contentRect.height).toBe(200);
+                }).then(done).catch(done.fail);
+            });
+        }
+
+        it('handles changes of stylesheets with scroll detection', done => {
+            const spy = createAsyncSpy();
+
+            observer = new ResizeObserver(spy, {detection: 'scroll'});
+
+            observer.observe(elements.target1);
+
+            spy.nextCall().then(entries => {
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(elements.target1);
+
+                expect(entries[0].contentRect.width).toBe(200);
+            }).then(async () => {
+                // Changes made through CSSOM don't produce any mutations.
+                styles.sheet.insertRule('#target1 { width: 300px; }', styles.sheet.cssRules.length);
+
+                const entries = await spy.nextCall();
+
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(elements.target1);
+
+                expect(entries[0].contentRect.width).toBe(300);
+            }).then(done).catch(done.fail);
+        });
+
+        it('handles changes of stylesheets with polling detection', done => {
+            const spy = createAsyncSpy();
+
+            observer = new ResizeObserver(spy, {detection: 'polling'});
+
+            observer.observe(elements.target1);
+
+            spy.nextCall().then(async () => {
+                styles.sheet.insertRule('#target1 { height: 300px; }', styles.sheet.cssRules.length);
+
+                const entries = await spy.nextCall();
+
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(elements.target1);
+
+                expect(entries[0].contentRect.height).toBe(300);
+            }).then(done).catch(done.fail);
+        });
+
+        if (typeof ResizeObserver.configure === 'function') {
+            it('throws an error if detection option is not valid', () => {
+                expect(() => {
+                    observer = new ResizeObserver(emptyFn, {detection: 'unknown'});
+                }).toThrowError(TypeError, /not a valid detection strategy/i);
+            });
+
+            it('uses custom scheduler of updates', done => {
+                const spy = createAsyncSpy();
+                const pending = [];
+                const settings = ResizeObserver.configure({
+                    scheduler: callback => pending.push(callback)
+                });
+                const flush = () => pending.splice(0).forEach(callback => callback());
+
+                observer = new ResizeObserver(spy);
+
+                observer.observe(elements.target1);
+
+                wait(timeout).then(async () => {
+                    expect(spy).not.toHaveBeenCalled();
+                    expect(pending.length).toBe(1);
+
+                    flush();
+
+                    expect(spy).toHaveBeenCalledTimes(1);
+                    expect(spy.calls.argsFor(0)[0][0].target).toBe(elements.target1);
+
+                    // Resolve the continuation of the update.
+                    flush();
+
+                    elements.target1.style.width = '300px';
+
+                    await wait(timeout);
+
+                    flush();
+
+                    expect(spy).toHaveBeenCalledTimes(2);
+                    expect(spy.calls.argsFor(1)[0][0].contentRect.width).toBe(300);
+
+                    flush();
+                }).then(() => {
+                    ResizeObserver.configure(settings);
+                }).then(done).catch(error => {
+                    ResizeObserver.configure(settings);
+                    done.fail(error);
+                });
+            });
+
+            it('handles mutations of observed elements and stylesheets with targets scope', done => {
+                const spy = createAsyncSpy();
+                const cycles = [];
+                const feed = document.createElement('div');
+                const unrelated = document.createElement('div');
+                const settings = ResizeObserver.configure({
+                    mutationScope: 'targets',
+                    onCycle: cycle => cycles.push(cycle)
+                });
+
+                document.body.appendChild(feed);
+
+                observer = new ResizeObserver(spy);
+
+                observer.observe(elements.target1);
+
+                spy.nextCall().then(async () => {
+                    elements.target1.style.width = '300px';
+
+                    const entries = await spy.nextCall();
+
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].contentRect.width).toBe(300);
+                }).then(async () => {
+                    styles.innerHTML += '#target1 { height: 150px; }';
+
+                    const entries = await spy.nextCall();
+
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].contentRect.height).toBe(150);
+                }).then(async () => {
+                    // Let the cycles caused by the previous change finish.
+                    await wait(timeout);
+
+                    const cyclesCount = cycles.length;
+
+                    feed.appendChild(unrelated);
+                    unrelated.textContent = 'unrelated';
+
+                    await wait(timeout);
+
+                    expect(cycles.length).toBe(cyclesCount);
+                    expect(spy).toHaveBeenCalledTimes(3);
+                }).then(() => {
+                    document.body.removeChild(feed);
+                    ResizeObserver.configure(settings);
+                }).then(done).catch(error => {
+                    document.body.removeChild(feed);
+                    ResizeObserver.configure(settings);
+                    done.fail(error);
+                });
+            });
+
+            it('handles nodes inserted into ancestors of observed elements with targets scope', done => {
+                const spy = createAsyncSpy();
+                const sibling = document.createElement('div');
+                const settings = ResizeObserver.configure({mutationScope: 'targets'});
+
+                elements.container.style.display = 'flex';
+                elements.target1.style.flex = '1 1 auto';
+                sibling.style.cssText = 'flex: none; width: 100px;';
+
+                observer = new ResizeObserver(spy);
+
+                observer.observe(elements.target1);
+
+                spy.nextCall().then(async entries => {
+                    expect(entries[0].contentRect.width).toBe(400);
+
+                    elements.container.insertBefore(sibling, elements.target1);
+
+                    const nextEntries = await spy.nextCall();
+
+                    expect(nextEntries[0].contentRect.width).toBe(300);
+
+                    elements.container.removeChild(sibling);
+                }).then(async () => {
+                    const entries = await spy.nextCall();
+
+                    expect(entries[0].contentRect.width).toBe(400);
+                }).then(() => {
+                    ResizeObserver.configure(settings);
+                }).then(done).catch(error => {
+                    ResizeObserver.configure(settings);
+                    done.fail(error);
+                });
+            });
+
+            it('measures only the elements affected by mutations with targets scope', done => {
+                const spy = createAsyncSpy();
+                const cycles = [];
+                const input = document.createElement('input');
+                const settings = ResizeObserver.configure({
+                    mutationScope: 'targets',
+                    onCycle: cycle => cycles.push(cycle)
+                });
+
+                document.body.appendChild(input);
+
+                observer = new ResizeObserver(spy);
+
+                observer.observe(elements.target1);
+                observer.observe(elements.target2);
+
+                spy.nextCall().then(async () => {
+                    await wait(timeout);
+
+                    const cyclesCount = cycles.length;
+
+                    input.setAttribute('value', 'a');
+                    elements.target1.style.width = '300px';
+
+                    const entries = await spy.nextCall();
+
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].target).toBe(elements.target1);
+
+                    await wait(timeout);
+
+                    const iterations = cycles.slice(cyclesCount).reduce((result, cycle) => {
+                        return result.concat(cycle.iterations);
+                    }, []);
+
+                    expect(iterations.length).toBeGreaterThan(0);
+                    expect(iterations.every(iteration => iteration.measured === 1)).toBe(true);
+                }).then(() => {
+                    document.body.removeChild(input);
+                    ResizeObserver.configure(settings);
+                }).then(done).catch(error => {
+                    document.body.removeChild(input);
+                    ResizeObserver.configure(settings);
+                    done.fail(error);
+                });
+            });
+
+            it('measures an element once per cycle when it\'s tracked by several observers', done => {
+                const countCalls = target => {
+                    return window.getComputedStyle.calls.allArgs().filter(args => args[0] === target).length;
+                };
+
+                spyOn(window, 'getComputedStyle').and.callThrough();
+
+                observer = new ResizeObserver(emptyFn);
+
+                observer.observe(elements.target1);
+
+                wait(timeout).then(async () => {
+                    observer2 = new ResizeObserver(emptyFn);
+
+                    observer.observe(elements.target2);
+                    observer2.observe(elements.target2);
+
+                    await wait(timeout);
+
+                    expect(countCalls(elements.target1)).toBeGreaterThan(0);
+                    expect(countCalls(elements.target2)).toBe(countCalls(elements.target1));
+                }).then(done).catch(done.fail);
+            });
+
+            it('reports timings of update cycles', done => {
+                const cycles = [];
+                const settings = ResizeObserver.configure({
+                    onCycle: cycle => cycles.push(cycle)
+                });
+                const spy = createAsyncSpy();
+
+                observer = new ResizeObserver(spy);
+                observer2 = new ResizeObserver(spy);
+
+                observer.observe(elements.target1);
+                observer2.observe(elements.target2);
+
+                spy.nextCall().then(async () => {
+                    await wait(timeout);
+
+                    const [cycle] = cycles;
+                    const [iteration] = cycle.iterations;
+
+                    expect(cycle.duration).not.toBeLessThan(0);
+                    expect(cycle.iterations.length).toBe(2);
+
+                    expect(iteration.measured).toBe(2);
+                    expect(iteration.callbacks).toBe(2);
+                    expect(iteration.measureTime).not.toBeLessThan(0);
+                    expect(iteration.callbackTime).not.toBeLessThan(0);
+
+                    expect(cycle.iterations[1].callbacks).toBe(0);
+                }).then(() => {
+                    ResizeObserver.configure(settings);
+                }).then(done).catch(error => {
+                    ResizeObserver.configure(settings);
+                    done.fail(error);
+                });
+            });
+
+            it('collects statistics of update cycles', done => {
+                const spy = createAsyncSpy();
+                const initialStats = ResizeObserver.getStats();
+
+                observer = new ResizeObserver(spy);
+
+                observer.observe(elements.target1);
+
+                spy.nextCall().then(async () => {
+                    await wait(timeout);
+
+                    const stats = ResizeObserver.getStats();
+
+                    expect(stats.cycles).toBeGreaterThan(initialStats.cycles);
+                    expect(stats.measured).toBeGreaterThan(initialStats.measured);
+                    expect(stats.callbacks).toBe(initialStats.callbacks + 1);
+                    expect(stats.lastCycle).not.toBe(initialStats.lastCycle);
+                }).then(done).catch(done.fail);
+            });
+
+            if (typeof performance !== 'undefined' && typeof performance.getEntriesByName === 'function') {
+                it('adds user timing entries around update cycles', done => {
+                    const spy = createAsyncSpy();
+                    const settings = ResizeObserver.configure({userTiming: true});
+
+                    performance.clearMeasures('ResizeObserver cycle');
+
+                    observer = new ResizeObserver(spy);
+
+                    observer.observe(elements.target1);
+
+                    spy.nextCall().then(async () => {
+                        await wait(timeout);
+
+                        expect(performance.getEntriesByName('ResizeObserver cycle').length).toBeGreaterThan(0);
+                        expect(performance.getEntriesByName('ResizeObserver cycle start').length).toBe(0);
+                    }).then(() => {
+                        ResizeObserver.configure(settings);
+                    }).then(done).catch(error => {
+                        ResizeObserver.configure(settings);
+                        done.fail(error);
+                    });
+                });
+            }
+
+            it('reports triggers of update cycles in debug mode', done => {
+                const spy = createAsyncSpy();
+                const cycles = [];
+                const settings = ResizeObserver.configure({
+                    debug: true,
+                    onCycle: cycle => cycles.push(cycle)
+                });
+
+                observer = new ResizeObserver(spy);
+
+                observer.observe(elements.target1);
+
+                spy.nextCall().then(async () => {
+                    const [{triggers}] = cycles;
+
+                    expect(triggers.length).toBeGreaterThan(0);
+                    expect(triggers[0].type).toBe('observe');
+                    expect(triggers[0].target).toBe(elements.target1);
+
+                    await wait(timeout);
+
+                    cycles.length = 0;
+                    elements.target1.style.width = '600px';
+
+                    await spy.nextCall();
+
+                    const types = cycles[0].triggers.map(trigger => trigger.type);
+
+                    expect(types).toContain('mutations');
+                }).then(() => {
+                    ResizeObserver.configure(settings);
+                }).then(done).catch(error => {
+                    ResizeObserver.configure(settings);
+                    done.fail(error);
+                });
+            });
+
+            it('debounces notifications and delivers the latest sizes', done => {
+                const spy = createAsyncSpy();
+
+                observer = new ResizeObserver(spy, {debounce: 200});
+
+                observer.observe(elements.target1);
+
+                wait(50).then(async () => {
+                    elements.target1.style.width = '300px';
+
+                    await wait(50);
+
+                    elements.target1.style.width = '400px';
+
+                    const entries = await spy.nextCall();
+
+                    expect(spy).toHaveBeenCalledTimes(1);
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].target).toBe(elements.target1);
+                    expect(entries[0].contentRect.width).toBe(400);
+                }).then(done).catch(done.fail);
+            });
+
+            it('throttles notifications with the leading one delivered immediately', done => {
+                const spy = createAsyncSpy();
+
+                observer = new ResizeObserver(spy, {throttle: 400, leading: true});
+
+                observer.observe(elements.target1);
+
+                spy.nextCall().then(async () => {
+                    const startTime = Date.now();
+
+                    elements.target1.style.width = '600px';
+
+                    const entries = await spy.nextCall();
+
+                    expect(Date.now() - startTime).toBeGreaterThan(200);
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].contentRect.width).toBe(600);
+                }).then(done).catch(done.fail);
+            });
+
+            it('doesn\'t report an error when a leading notification resizes deeper elements', done => {
+                const spy = createAsyncSpy();
+                const errorSpy = jasmine.createSpy();
+
+                let shouldResizeTarget = true;
+
+                observer = new ResizeObserver((entries, ...args) => {
+                    spy(entries, ...args);
+
+                    // Leading notification is delivered in the update cycle.
+                    if (shouldResizeTarget) {
+                        shouldResizeTarget = false;
+                        elements.target1.style.width = '100px';
+                    }
+                }, {throttle: 200, leading: true});
+
+                observer.observe(elements.container);
+                observer.observe(elements.target1);
+
+                window.addEventListener('error', errorSpy);
+
+                spy.nextCall().then(async entries => {
+                    expect(entries.length).toBe(2);
+
+                    const [entry] = await spy.nextCall();
+
+                    expect(entry.target).toBe(elements.target1);
+                    expect(entry.contentRect.width).toBe(100);
+                    expect(errorSpy).not.toHaveBeenCalled();
+                }).then(() => {
+                    window.removeEventListener('error', errorSpy);
+                }).then(done).catch(error => {
+                    window.removeEventListener('error', errorSpy);
+                    done.fail(error);
+                });
+            });
+
+            it('throws an error if threshold or axis option is not valid', () => {
+                observer = new ResizeObserver(emptyFn);
+
+                expect(() => {
+                    observer.observe(elements.target1, {threshold: -1});
+                }).toThrowError(TypeError, /threshold/i);
+
+                expect(() => {
+                    observer.observe(elements.target1, {axis: 'horizontal'});
+                }).toThrowError(TypeError, /axis/i);
+
+                expect(() => {
+                    observer.observe(elements.target1, {threshold: 1, axis: 'inline'});
+                }).not.toThrow();
+            });
+
+            it('ignores changes that are smaller than the threshold', done => {
+                const spy = createAsyncSpy();
+
+                observer = new ResizeObserver(spy);
+
+                observer.observe(elements.target1, {threshold: 5});
+
+                spy.nextCall().then(async () => {
+                    elements.target1.style.width = '202.5px';
+
+                    await wait(timeout);
+
+                    expect(spy).toHaveBeenCalledTimes(1);
+
+                    elements.target1.style.width = '206px';
+
+                    const entries = await spy.nextCall();
+
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].contentRect.width).toBe(206);
+                }).then(done).catch(done.fail);
+            });
+
+            it('tracks changes of the observed axis only', done => {
+                const spy = createAsyncSpy();
+
+                observer = new ResizeObserver(spy);
+
+                observer.observe(elements.target1, {axis: 'inline'});
+
+                spy.nextCall().then(async () => {
+                    elements.target1.style.height = '300px';
+
+                    await wait(timeout);
+
+                    expect(spy).toHaveBeenCalledTimes(1);
+
+                    elements.target1.style.width = '300px';
+
+                    const entries = await spy.nextCall();
+
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].contentRect.width).toBe(300);
+                    expect(entries[0].contentRect.height).toBe(300);
+                }).then(done).catch(done.fail);
+            });
+
+            it('releases observations of removed elements', done => {
+                const spy = createAsyncSpy();
+                const releaseSpy = jasmine.createSpy();
+                const settings = ResizeObserver.configure({onRelease: releaseSpy});
+
+                observer = new ResizeObserver(spy, {autoRelease: 'disconnected'});
+
+                observer.observe(elements.target1);
+                observer.observe(elements.target2);
+
+                spy.nextCall().then(async () => {
+                    elements.container.removeChild(elements.target1);
+
+                    const entries = await spy.nextCall();
+
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].target).toBe(elements.target1);
+                    expect(entries[0].contentRect.width).toBe(0);
+
+                    await wait(timeout);
+
+                    expect(releaseSpy).toHaveBeenCalledTimes(1);
+                    expect(releaseSpy).toHaveBeenCalledWith(elements.target1, observer);
+                }).then(async () => {
+                    elements.container.appendChild(elements.target1);
+
+                    await wait(timeout);
+
+                    expect(spy).toHaveBeenCalledTimes(2);
+                }).then(() => {
+                    ResizeObserver.configure(settings);
+                }).then(done).catch(error => {
+                    ResizeObserver.configure(settings);
+                    done.fail(error);
+                });
+            });
+
+            if (typeof WeakRef === 'function' && typeof FinalizationRegistry === 'function') {
+                it('resumes observations of removed elements that are added back in weak mode', done => {
+                    const spy = createAsyncSpy();
+
+                    observer = new ResizeObserver(spy, {autoRelease: 'weak'});
+
+                    observer.observe(elements.target1);
+
+                    spy.nextCall().then(async () => {
+                        elements.container.removeChild(elements.target1);
+
+                        await spy.nextCall();
+                        await wait(timeout);
+
+                        elements.container.appendChild(elements.target1);
+
+                        const entries = await spy.nextCall();
+
+                        expect(entries.length).toBe(1);
+                        expect(entries[0].target).toBe(elements.target1);
+                        expect(entries[0].contentRect.width).toBe(200);
+                    }).then(done).catch(done.fail);
+                });
+
+                it('resumes observations of removed elements that are added back with targets scope', done => {
+                    const spy = createAsyncSpy();
+                    const settings = ResizeObserver.configure({mutationScope: 'targets'});
+
+                    observer = new ResizeObserver(spy, {autoRelease: 'weak'});
+
+                    observer.observe(elements.target1);
+
+                    spy.nextCall().then(async () => {
+                        elements.container.removeChild(elements.target1);
+
+                        await spy.nextCall();
+                        await wait(timeout);
+
+                        elements.container.appendChild(elements.target1);
+
+                        const entries = await spy.nextCall();
+
+                        expect(entries.length).toBe(1);
+                        expect(entries[0].target).toBe(elements.target1);
+                        expect(entries[0].contentRect.width).toBe(200);
+                    }).then(() => {
+                        ResizeObserver.configure(settings);
+                    }).then(done).catch(error => {
+                        ResizeObserver.configure(settings);
+                        done.fail(error);
+                    });
+                });
+            }
+
+            it('removes scroll sensors when observation stops', done => {
+                const spy = createAsyncSpy();
+                const {target1} = elements;
+
+                observer = new ResizeObserver(spy, {detection: 'scroll'});
+
+                observer.observe(target1);
+
+                expect(target1.childNodes.length).toBe(1);
+                expect(target1.style.position).toBe('relative');
+
+                spy.nextCall().then(() => {
+                    observer.unobserve(target1);
+
+                    expect(target1.childNodes.length).toBe(0);
+                    expect(target1.style.position).toBe('');
+                }).then(done).catch(done.fail);
+            });
+
+            it('restores scroll sensors removed along with the content', done => {
+                const spy = createAsyncSpy();
+                const {target1} = elements;
+
+                target1.style.width = 'auto';
+                target1.style.height = 'auto';
+                target1.style.display = 'inline-block';
+
+                observer = new ResizeObserver(spy, {detection: 'scroll'});
+
+                observer.observe(target1);
+
+                spy.nextCall().then(async () => {
+                    target1.innerHTML = '<div style="width: 120px; height: 80px;"></div>';
+
+                    const entries = await spy.nextCall();
+
+                    expect(target1.childNodes.length).toBe(2);
+
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].target).toBe(target1);
+                    expect(entries[0].contentRect.width).toBe(120);
+                }).then(async () => {
+                    target1.firstChild.style.width = '150px';
 
-            observer = new ResizeObserver(spy);
+                    const entries = await spy.nextCall();
 
-            observer.observe(elements.target1);
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].contentRect.width).toBe(150);
+                }).then(done).catch(done.fail);
+            });
 
-            spy.nextCall().then(entries => {
-                expect(entries.length).toBe(1);
-                expect(entries[0].target).toBe(elements.target1);
-            }).then(async () => {
-                observer.observe(elements.target1);
+            it('measures elements observed before being added with scroll detection', done => {
+                const spy = createAsyncSpy();
+                const target = document.createElement('div');
 
-                await wait(timeout);
+                target.style.width = '120px';
+                target.style.height = '80px';
 
-                expect(spy).toHaveBeenCalledTimes(1);
+                observer = new ResizeObserver(spy, {detection: 'scroll'});
 
-                elements.target1.style.width = '220px';
+                observer.observe(target);
 
-                const entries = await spy.nextCall();
+                wait(timeout).then(async () => {
+                    elements.container.appendChild(target);
 
-                expect(entries.length).toBe(1);
-                expect(entries[0].target).toBe(elements.target1);
-            }).then(done).catch(done.fail);
-        });
+                    const entries = await spy.nextCall();
 
-        it('handles elements that are not yet in the DOM', done => {
-            elements.root.removeChild(elements.container);
-            elements.container.removeChild(elements.target1);
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].target).toBe(target);
+                    expect(entries[0].contentRect.width).toBe(120);
+                    expect(entries[0].contentRect.height).toBe(80);
+                    expect(target.style.position).toBe('relative');
+                }).then(async () => {
+                    target.style.width = '150px';
 
-            const spy = createAsyncSpy();
+                    const entries = await spy.nextCall();
 
-            observer = new ResizeObserver(spy);
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].contentRect.width).toBe(150);
+                }).then(done).catch(done.fail);
+            });
 
-            observer.observe(elements.target1);
+            it('measures hidden elements once they are shown with scroll detection', done => {
+                const spy = createAsyncSpy();
+                const {target1} = elements;
 
-            wait(timeout).then(() => {
-                expect(spy).not.toHaveBeenCalled();
-            }).then(async () => {
-                elements.container.appendChild(elements.target1);
+                target1.style.display = 'none';
 
-                await wait(timeout);
+                observer = new ResizeObserver(spy, {detection: 'scroll'});
 
-                expect(spy).not.toHaveBeenCalled();
-            }).then(async () => {
-                elements.root.appendChild(elements.container);
+                observer.observe(target1);
 
-                const entries = await spy.nextCall();
+                wait(timeout).then(async () => {
+                    target1.style.display = '';
 
-                expect(entries.length).toBe(1);
-                expect(entries[0].target).toBe(elements.target1);
+                    const entries = await spy.nextCall();
 
-                expect(entries[0].contentRect.width).toBe(200);
-                expect(entries[0].contentRect.height).toBe(200);
-            }).then(done).catch(done.fail);
-        });
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].target).toBe(target1);
+                    expect(entries[0].contentRect.width).toBe(200);
+                }).then(async () => {
+                    target1.style.width = '300px';
+
+                    const entries = await spy.nextCall();
+
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].contentRect.width).toBe(300);
+                }).then(done).catch(done.fail);
+            });
+        }
 
         it('triggers when an element is removed from DOM', done => {
             const spy = createAsyncSpy();
@@ -411,14 +1421,18 @@ describe('ResizeObserver', () => {
 
             observer.observe(elements.target1);
 
-            wait(timeout).then(() => {
-                expect(spy).not.toHaveBeenCalled();
+            spy.nextCall().then(entries => {
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(elements.target1);
+
+                expect(entries[0].contentRect.width).toBe(0);
+                expect(entries[0].contentRect.height).toBe(0);
             }).then(async () => {
                 elements.target1.style.display = 'block';
 
                 await wait(timeout);
 
-                expect(spy).not.toHaveBeenCalled();
+                expect(spy).toHaveBeenCalledTimes(1);
             }).then(async () => {
                 elements.root.style.display = 'block';
                 elements.target1.style.position = 'fixed';
@@ -465,15 +1479,21 @@ describe('ResizeObserver', () => {
             observer.observe(elements.target2);
 
             spy.nextCall().then(entries => {
-                expect(entries.length).toBe(1);
-                expect(entries[0].target).toBe(elements.target2);
+                expect(entries.length).toBe(2);
+                expect(entries[0].target).toBe(elements.target1);
+                expect(entries[1].target).toBe(elements.target2);
 
-                expect(entries[0].contentRect.width).toBe(200);
-                expect(entries[0].contentRect.height).toBe(200);
-                expect(entries[0].contentRect.top).toBe(0);
-                expect(entries[0].contentRect.right).toBe(200);
-                expect(entries[0].contentRect.bottom).toBe(200);
-                expect(entries[0].contentRect.left).toBe(0);
+                expect(entries[0].contentRect.width).toBe(0);
+                expect(entries[0].contentRect.height).toBe(0);
+                expect(entries[0].contentRect.top).toBe(10);
+                expect(entries[0].contentRect.left).toBe(10);
+
+                expect(entries[1].contentRect.width).toBe(200);
+                expect(entries[1].contentRect.height).toBe(200);
+                expect(entries[1].contentRect.top).toBe(0);
+                expect(entries[1].contentRect.right).toBe(200);
+                expect(entries[1].contentRect.bottom).toBe(200);
+                expect(entries[1].contentRect.left).toBe(0);
             }).then(async () => {
                 elements.target1.style.width = '200px';
                 elements.target1.style.height = '200px';
@@ -740,7 +1760,34 @@ describe('ResizeObserver', () => {
             }).then(done).catch(done.fail);
         });
 
-        it('doesn\'t trigger for a non-replaced inline elements', done => {
+        it('includes scroll bars into the border box', done => {
+            const spy = createAsyncSpy();
+
+            observer = new ResizeObserver(spy);
+
+            elements.root.style.width = '100px';
+            elements.root.style.height = '150px';
+            elements.root.style.padding = '5px';
+            elements.root.style.border = '2px solid black';
+            elements.root.style.overflow = 'scroll';
+
+            elements.container.style.minWidth = '0px';
+
+            observer.observe(elements.root, {box: 'border-box'});
+
+            spy.nextCall().then(entries => {
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(elements.root);
+
+                expect(entries[0].borderBoxSize[0].inlineSize).toBe(elements.root.offsetWidth);
+                expect(entries[0].borderBoxSize[0].blockSize).toBe(elements.root.offsetHeight);
+
+                expect(entries[0].contentRect.width).toBe(elements.root.clientWidth - 10);
+                expect(entries[0].contentRect.height).toBe(elements.root.clientHeight - 10);
+            }).then(done).catch(done.fail);
+        });
+
+        it('reports empty size of non-replaced inline elements', done => {
             const spy = createAsyncSpy();
 
             observer = new ResizeObserver(spy);
@@ -750,8 +1797,12 @@ describe('ResizeObserver', () => {
 
             observer.observe(elements.target1);
 
-            wait(timeout).then(() => {
-                expect(spy).not.toHaveBeenCalled();
+            spy.nextCall().then(entries => {
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(elements.target1);
+
+                expect(entries[0].contentRect.width).toBe(0);
+                expect(entries[0].contentRect.height).toBe(0);
             }).then(async () => {
                 elements.target1.style.position = 'absolute';
 
@@ -783,7 +1834,7 @@ describe('ResizeObserver', () => {
 
                 await wait(timeout);
 
-                expect(spy).toHaveBeenCalledTimes(2);
+                expect(spy).toHaveBeenCalledTimes(3);
             }).then(async () => {
                 elements.target1.style.display = 'block';
 
@@ -995,63 +2046,227 @@ describe('ResizeObserver', () => {
             }).then(async () => {
                 observer.observe(svgRoot);
 
-                const entries = await spy.nextCall();
+                const entries = await spy.nextCall();
+
+                expect(entries.length).toBe(1);
+
+                expect(entries[0].target).toBe(svgRoot);
+
+                expect(entries[0].contentRect.width).toBe(250);
+                expect(entries[0].contentRect.height).toBe(200);
+                expect(entries[0].contentRect.top).toBe(0);
+                expect(entries[0].contentRect.right).toBe(250);
+                expect(entries[0].contentRect.bottom).toBe(200);
+                expect(entries[0].contentRect.left).toBe(0);
+            }).then(done).catch(done.fail);
+        });
+
+        it('reports empty size of svg elements that don\'t implement the SVGGraphicsElement interface', done => {
+            elements.root.insertAdjacentHTML('beforeend', `
+                <svg width="600" height="200" viewBox="0 0 600 200"
+                    xmlns="http://www.w3.org/2000/svg"
+                    xmlns:xlink="http://www.w3.org/1999/xlink">
+                    <defs>
+                        <radialGradient id="gradient">
+                            <stop offset="0%" stop-color="#8cffa0" />
+                            <stop offset="100%" stop-color="#8ca0ff" />
+                        </radialGradient>
+                    </defs>
+
+                    <circle r="50" cx="180" cy="50" style="fill:url(#gradient)" id="circle" />
+                </svg>
+            `);
+
+            const spy = createAsyncSpy();
+            const svgGrad = document.getElementById('gradient');
+            const svgCircle = document.getElementById('circle');
+
+            observer = new ResizeObserver(spy);
+
+            observer.observe(svgGrad);
+
+            spy.nextCall().then(entries => {
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(svgGrad);
+
+                expect(entries[0].contentRect.width).toBe(0);
+                expect(entries[0].contentRect.height).toBe(0);
+
+                observer.observe(svgCircle);
+
+                return spy.nextCall();
+            }).then(entries => {
+                expect(spy).toHaveBeenCalledTimes(2);
+
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(svgCircle);
+
+                expect(entries[0].contentRect.top).toBe(0);
+                expect(entries[0].contentRect.left).toBe(0);
+                expect(entries[0].contentRect.width).toBe(100);
+                expect(entries[0].contentRect.height).toBe(100);
+            }).then(done).catch(done.fail);
+        });
+
+        it('handles elements of other documents', done => {
+            const iframe = document.createElement('iframe');
+
+            elements.root.appendChild(iframe);
+
+            const iframeDocument = iframe.contentDocument;
+            const target = iframeDocument.createElement('div');
+
+            target.style.width = '100px';
+            target.style.height = '100px';
+
+            iframeDocument.body.appendChild(target);
+
+            const spy = createAsyncSpy();
+
+            observer = new ResizeObserver(spy);
+
+            observer.observe(target);
+
+            spy.nextCall().then(entries => {
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(target);
+
+                expect(entries[0].contentRect.width).toBe(100);
+            }).then(async () => {
+                target.style.width = '150px';
+
+                const entries = await spy.nextCall();
+
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(target);
+
+                expect(entries[0].contentRect.width).toBe(150);
+            }).then(async () => {
+                observer.unobserve(target);
+
+                target.style.width = '200px';
+
+                await wait(timeout);
+
+                expect(spy).toHaveBeenCalledTimes(2);
+            }).then(done).catch(done.fail);
+        });
+
+        it('handles elements adopted by other documents', done => {
+            const iframe = document.createElement('iframe');
+
+            elements.root.appendChild(iframe);
+
+            const iframeDocument = iframe.contentDocument;
+            const spy = createAsyncSpy();
+
+            observer = new ResizeObserver(spy);
+
+            observer.observe(elements.target1);
+
+            spy.nextCall().then(async () => {
+                iframeDocument.body.appendChild(elements.target1);
+
+                await wait(timeout);
+
+                elements.target1.style.width = '150px';
+
+                const entries = await spy.nextCall();
+
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(elements.target1);
+
+                expect(entries[0].contentRect.width).toBe(150);
+            }).then(async () => {
+                const callsCount = spy.calls.count();
+
+                observer.unobserve(elements.target1);
+
+                elements.target1.style.width = '200px';
+
+                await wait(timeout);
+
+                expect(spy).toHaveBeenCalledTimes(callsCount);
+            }).then(done).catch(done.fail);
+        });
+
+        it('handles elements of documents without a browsing context', done => {
+            const inertDocument = document.implementation.createHTMLDocument('');
+            const target = inertDocument.createElement('div');
+
+            inertDocument.body.appendChild(target);
+
+            const spy = createAsyncSpy();
+
+            observer = new ResizeObserver(spy);
+
+            expect(() => observer.observe(target)).not.toThrow();
+
+            spy.nextCall().then(entries => {
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(target);
+
+                expect(entries[0].contentRect.width).toBe(0);
+                expect(entries[0].contentRect.height).toBe(0);
+
+                expect(() => observer.unobserve(target)).not.toThrow();
+            }).then(done).catch(done.fail);
+        });
+
+        if (typeof document.body.attachShadow === 'function') {
+            it('handles changes inside of shadow roots', done => {
+                const host = document.createElement('div');
+                const shadowRoot = host.attachShadow({mode: 'open'});
+                const inner = document.createElement('div');
+                const nested = document.createElement('div');
 
-                expect(entries.length).toBe(1);
+                host.style.display = 'inline-block';
+                inner.style.width = '100px';
+                inner.style.height = '100px';
+                nested.style.width = '50px';
+                nested.style.height = '50px';
 
-                expect(entries[0].target).toBe(svgRoot);
+                shadowRoot.appendChild(inner);
+                inner.appendChild(nested);
+                elements.root.appendChild(host);
 
-                expect(entries[0].contentRect.width).toBe(250);
-                expect(entries[0].contentRect.height).toBe(200);
-                expect(entries[0].contentRect.top).toBe(0);
-                expect(entries[0].contentRect.right).toBe(250);
-                expect(entries[0].contentRect.bottom).toBe(200);
-                expect(entries[0].contentRect.left).toBe(0);
-            }).then(done).catch(done.fail);
-        });
+                const spy = createAsyncSpy();
 
-        it('doesn\'t observe svg elements that don\'t implement the SVGGraphicsElement interface', done => {
-            elements.root.insertAdjacentHTML('beforeend', `
-                <svg width="600" height="200" viewBox="0 0 600 200"
-                    xmlns="http://www.w3.org/2000/svg"
-                    xmlns:xlink="http://www.w3.org/1999/xlink">
-                    <defs>
-                        <radialGradient id="gradient">
-                            <stop offset="0%" stop-color="#8cffa0" />
-                            <stop offset="100%" stop-color="#8ca0ff" />
-                        </radialGradient>
-                    </defs>
+                observer = new ResizeObserver(spy);
 
-                    <circle r="50" cx="180" cy="50" style="fill:url(#gradient)" id="circle" />
-                </svg>
-            `);
+                observer.observe(host);
 
-            const spy = createAsyncSpy();
-            const svgGrad = document.getElementById('gradient');
-            const svgCircle = document.getElementById('circle');
+                spy.nextCall().then(entries => {
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].target).toBe(host);
 
-            observer = new ResizeObserver(spy);
+                    expect(entries[0].contentRect.width).toBe(100);
+                }).then(async () => {
+                    inner.style.width = '150px';
 
-            observer.observe(svgGrad);
+                    const entries = await spy.nextCall();
 
-            wait(timeout).then(() => {
-                expect(spy).not.toHaveBeenCalled();
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].target).toBe(host);
 
-                observer.observe(svgCircle);
+                    expect(entries[0].contentRect.width).toBe(150);
+                }).then(async () => {
+                    observer.unobserve(host);
+                    observer.observe(nested);
 
-                return spy.nextCall();
-            }).then(entries => {
-                expect(spy).toHaveBeenCalledTimes(1);
+                    await spy.nextCall();
 
-                expect(entries.length).toBe(1);
-                expect(entries[0].target).toBe(svgCircle);
+                    nested.style.width = '80px';
 
-                expect(entries[0].contentRect.top).toBe(0);
-                expect(entries[0].contentRect.left).toBe(0);
-                expect(entries[0].contentRect.width).toBe(100);
-                expect(entries[0].contentRect.height).toBe(100);
-            }).then(done).catch(done.fail);
-        });
+                    const entries = await spy.nextCall();
+
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].target).toBe(nested);
+
+                    expect(entries[0].contentRect.width).toBe(80);
+                }).then(done).catch(done.fail);
+            });
+        }
 
         it('handles IE11 issue with the MutationObserver: https://jsfiddle.net/x2r3jpuz/2/', done => {
             const spy = createAsyncSpy();
@@ -1153,6 +2368,134 @@ describe('ResizeObserver', () => {
                     expect(Math.round(entries[0].contentRect.width)).toBe(600);
                 }).then(done).catch(done.fail);
             });
+
+            it('notifies of intermediate sizes during transitions', done => {
+                elements.target1.style.transition = 'width 500ms linear';
+
+                const spy = createAsyncSpy();
+
+                observer = new ResizeObserver(spy);
+
+                observer.observe(elements.target1);
+
+                spy.nextCall().then(async () => {
+                    await wait(20);
+
+                    elements.target1.style.width = '600px';
+
+                    await wait(500 + timeout);
+
+                    const widths = spy.calls.allArgs().slice(1).map(args => args[0][0].contentRect.width);
+
+                    expect(widths.length).toBeGreaterThan(2);
+                    expect(widths.some(width => width > 200 && width < 600)).toBe(true);
+                    expect(Math.round(widths[widths.length - 1])).toBe(600);
+                }).then(done).catch(done.fail);
+            });
+        }
+
+        if (typeof document.body.style.animationName !== 'undefined') {
+            it('notifies of intermediate sizes during keyframe animations', done => {
+                const spy = createAsyncSpy();
+
+                styles.sheet.insertRule('@keyframes grow { to { width: 600px; } }', styles.sheet.cssRules.length);
+
+                observer = new ResizeObserver(spy);
+
+                observer.observe(elements.target1);
+
+                spy.nextCall().then(async () => {
+                    elements.target1.style.animation = 'grow 500ms linear';
+
+                    await wait(500 + timeout);
+
+                    const widths = spy.calls.allArgs().slice(1).map(args => args[0][0].contentRect.width);
+
+                    expect(widths.length).toBeGreaterThan(2);
+                    expect(widths.some(width => width > 200 && width < 600)).toBe(true);
+                    expect(Math.round(widths[widths.length - 1])).toBe(200);
+                }).then(done).catch(done.fail);
+            });
+
+            // Keyframes can only be inspected with the Web Animations API.
+            if (typeof document.body.getAnimations === 'function') {
+                it('notifies of intermediate sizes of siblings of animated elements', done => {
+                    const spy = createAsyncSpy();
+                    const wrapper = document.createElement('div');
+                    const panel = document.createElement('div');
+                    const chart = document.createElement('div');
+
+                    styles.sheet.insertRule(
+                        '@keyframes open { from { width: 0; } to { width: 400px; } }',
+                        styles.sheet.cssRules.length
+                    );
+
+                    wrapper.style.cssText = 'display: flex; width: 600px; height: 100px;';
+                    panel.style.cssText = 'flex: none; width: 0;';
+                    chart.style.cssText = 'flex: 1 1 auto; min-width: 0;';
+
+                    wrapper.appendChild(panel);
+                    wrapper.appendChild(chart);
+                    document.body.appendChild(wrapper);
+
+                    observer = new ResizeObserver(spy);
+
+                    observer.observe(chart);
+
+                    spy.nextCall().then(async () => {
+                        panel.style.animation = 'open 500ms linear forwards';
+
+                        await wait(500 + timeout);
+
+                        const widths = spy.calls.allArgs().slice(1).map(args => args[0][0].contentRect.width);
+
+                        expect(widths.length).toBeGreaterThan(2);
+                        expect(widths.some(width => width > 200 && width < 600)).toBe(true);
+                        expect(Math.round(widths[widths.length - 1])).toBe(200);
+                    }).then(() => {
+                        document.body.removeChild(wrapper);
+                    }).then(done).catch(error => {
+                        document.body.removeChild(wrapper);
+                        done.fail(error);
+                    });
+                });
+            }
+
+            if (typeof ResizeObserver.getStats === 'function') {
+                it('ignores infinite animations of unrelated elements', done => {
+                    const spy = createAsyncSpy();
+                    const spinner = document.createElement('div');
+
+                    styles.sheet.insertRule(
+                        '@keyframes spin { to { transform: rotate(360deg); } }',
+                        styles.sheet.cssRules.length
+                    );
+
+                    observer = new ResizeObserver(spy);
+
+                    observer.observe(elements.target1);
+
+                    spy.nextCall().then(async () => {
+                        spinner.style.animation = 'spin 100ms linear infinite';
+                        document.body.appendChild(spinner);
+
+                        // Let the update caused by the insertion of the spinner run.
+                        await wait(timeout);
+
+                        const {cycles} = ResizeObserver.getStats();
+
+                        await wait(timeout);
+
+                        expect(ResizeObserver.getStats().cycles).toBe(cycles);
+                        expect(spy).toHaveBeenCalledTimes(1);
+                    }).then(() => {
+                        document.body.removeChild(spinner);
+                    }).then(done).catch(error => {
+                        document.body.removeChild(spinner);
+                        done.fail(error);
+                    });
+                });
+            }
         }
     });
 
@@ -1373,4 +2716,292 @@ describe('ResizeObserver', () => {
             }).then(done).catch(done.fail);
         });
     });
+
+    describe('nextResize', () => {
+        it('resolves the promise of the next resize', done => {
+            const promise = nextResize(elements.target1);
+            const spy = jasmine.createSpy();
+
+            promise.then(spy);
+
+            wait(timeout).then(async () => {
+                expect(spy).not.toHaveBeenCalled();
+
+                elements.target1.style.width = '300px';
+
+                const entry = await promise;
+
+                expect(entry.target).toBe(elements.target1);
+                expect(entry.contentRect.width).toBe(300);
+            }).then(done).catch(done.fail);
+        });
+
+        it('rejects the promise of the next resize if options are not valid', done => {
+            nextResize(elements.target1, {box: 'padding-box'}).then(() => {
+                done.fail('promise has been resolved');
+            }, error => {
+                expect(error).toEqual(jasmine.any(TypeError));
+            }).then(done);
+        });
+    });
+
+    describe('watch', () => {
+        it('iterates over entries of an element', done => {
+            const iterator = watch(elements.target1);
+
+            iterator.next().then(async ({value, done: isDone}) => {
+                expect(isDone).toBe(false);
+                expect(value.contentRect.width).toBe(200);
+
+                elements.target1.style.width = '300px';
+
+                const result = await iterator.next();
+
+                expect(result.value.contentRect.width).toBe(300);
+
+                await iterator.return();
+
+                elements.target1.style.width = '400px';
+
+                expect(await iterator.next()).toEqual({done: true});
+            }).then(done).catch(error => {
+                iterator.return();
+                done.fail(error);
+            });
+        });
+    });
+
+    describe('resize events', () => {
+        it('dispatches the resize event on elements', done => {
+            const spy = createAsyncSpy();
+            const parentSpy = jasmine.createSpy();
+
+            enableElementResizeEvents(elements.target1);
+
+            elements.container.addEventListener('resize', parentSpy);
+            elements.target1.addEventListener('resize', spy);
+
+            spy.nextCall().then(async event => {
+                expect(event.type).toBe('resize');
+                expect(event.bubbles).toBe(false);
+                expect(event.detail.target).toBe(elements.target1);
+                expect(event.detail.contentRect.width).toBe(200);
+
+                elements.target1.style.width = '300px';
+
+                const {detail} = await spy.nextCall();
+
+                expect(detail.contentRect.width).toBe(300);
+                expect(parentSpy).not.toHaveBeenCalled();
+
+                elements.target1.removeEventListener('resize', spy);
+                elements.target1.style.width = '400px';
+
+                await wait(timeout);
+
+                expect(spy).toHaveBeenCalledTimes(2);
+            }).then(() => {
+                disableElementResizeEvents(elements.target1);
+            }).then(done).catch(error => {
+                disableElementResizeEvents(elements.target1);
+                done.fail(error);
+            });
+        });
+
+        it('stops observing elements when listeners are removed with a signal', done => {
+            if (typeof AbortController === 'undefined') {
+                pending('AbortController is not supported');
+            }
+
+            const spy = createAsyncSpy();
+            const nextSpy = createAsyncSpy();
+            const controller = new AbortController();
+
+            enableElementResizeEvents(elements.target1);
+
+            elements.target1.addEventListener('resize', spy, {signal: controller.signal});
+
+            spy.nextCall().then(async () => {
+                controller.abort();
+
+                // Element is observed again, starting with its current size.
+                elements.target1.addEventListener('resize', nextSpy);
+
+                const {detail} = await nextSpy.nextCall();
+
+                expect(detail.contentRect.width).toBe(200);
+                expect(spy).toHaveBeenCalledTimes(1);
+            }).then(() => {
+                disableElementResizeEvents(elements.target1);
+            }).then(done).catch(error => {
+                disableElementResizeEvents(elements.target1);
+                done.fail(error);
+            });
+        });
+
+        it('removes abort listeners of the signals along with the resize listeners', done => {
+            if (typeof AbortController === 'undefined') {
+                pending('AbortController is not supported');
+            }
+
+            const spy = createAsyncSpy();
+            const {signal} = new AbortController();
+
+            spyOn(signal, 'removeEventListener').and.callThrough();
+
+            enableElementResizeEvents(elements.target1);
+
+            elements.target1.addEventListener('resize', spy, {signal, once: true});
+
+            spy.nextCall().then(() => {
+                expect(signal.removeEventListener).toHaveBeenCalledWith('abort', jasmine.any(Function));
+            }).then(() => {
+                disableElementResizeEvents(elements.target1);
+            }).then(done).catch(error => {
+                disableElementResizeEvents(elements.target1);
+                done.fail(error);
+            });
+        });
+
+        it('dispatches the resize event on elements that are added back to the document', done => {
+            const spy = createAsyncSpy();
+
+            enableElementResizeEvents(elements.target1);
+
+            elements.target1.addEventListener('resize', spy);
+
+            spy.nextCall().then(async () => {
+                elements.container.removeChild(elements.target1);
+
+                const {detail} = await spy.nextCall();
+
+                expect(detail.contentRect.width).toBe(0);
+
+                elements.container.appendChild(elements.target1);
+
+                const {detail: nextDetail} = await spy.nextCall();
+
+                expect(nextDetail.contentRect.width).toBe(200);
+            }).then(() => {
+                disableElementResizeEvents(elements.target1);
+            }).then(done).catch(error => {
+                disableElementResizeEvents(elements.target1);
+                done.fail(error);
+            });
+        });
+
+        it('stops dispatching the resize event when disabled', done => {
+            const spy = createAsyncSpy();
+
+            enableElementResizeEvents(elements.target1);
+
+            elements.target1.addEventListener('resize', spy);
+
+            spy.nextCall().then(async () => {
+                disableElementResizeEvents(elements.target1);
+
+                expect(elements.target1.hasOwnProperty('addEventListener')).toBe(false);
+
+                elements.target1.style.width = '300px';
+
+                await wait(timeout);
+
+                expect(spy).toHaveBeenCalledTimes(1);
+            }).then(done).catch(done.fail);
+        });
+    });
+
+    describe('takeRecords', () => {
+        it('is available regardless of the default implementation', () => {
+            observer = new ResizeObserverPolyfill(emptyFn);
+
+            observer.observe(elements.target1);
+
+            const entries = observer.takeRecords();
+
+            expect(entries.length).toBe(1);
+            expect(entries[0].target).toBe(elements.target1);
+            expect(observer.takeRecords()).toEqual([]);
+        });
+
+        it('takes pending entries synchronously', done => {
+            const spy = createAsyncSpy();
+
+            observer = new ResizeObserverPolyfill(spy);
+
+            observer.observe(elements.target1);
+            observer.observe(elements.target2);
+
+            const initialEntries = observer.takeRecords();
+
+            expect(initialEntries.length).toBe(2);
+            expect(initialEntries[0].target).toBe(elements.target1);
+            expect(initialEntries[1].target).toBe(elements.target2);
+
+            wait(timeout).then(() => {
+                expect(spy).not.toHaveBeenCalled();
+
+                elements.target1.style.width = '300px';
+
+                const entries = observer.takeRecords();
+
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(elements.target1);
+                expect(entries[0].contentRect.width).toBe(300);
+                expect(observer.takeRecords()).toEqual([]);
+
+                return wait(timeout);
+            }).then(() => {
+                expect(spy).not.toHaveBeenCalled();
+            }).then(done).catch(done.fail);
+        });
+
+        it('takes entries that are waiting for the debounced delivery', done => {
+            const spy = createAsyncSpy();
+
+            observer = new ResizeObserverPolyfill(spy, {debounce: 200});
+
+            observer.observe(elements.target1);
+
+            wait(100).then(async () => {
+                const entries = observer.takeRecords();
+
+                expect(entries.length).toBe(1);
+                expect(entries[0].contentRect.width).toBe(200);
+
+                await wait(timeout);
+
+                expect(spy).not.toHaveBeenCalled();
+            }).then(done).catch(done.fail);
+        });
+    });
+
+    describe('extensions', () => {
+        it('are exported regardless of the default implementation', done => {
+            const functions = [
+                configure,
+                getStats,
+                nextResize,
+                watch,
+                enableElementResizeEvents,
+                disableElementResizeEvents
+            ];
+
+            functions.forEach(fn => expect(typeof fn).toBe('function'));
+
+            const settings = configure({});
+
+            expect(configure(settings)).toEqual(settings);
+            expect(typeof getStats().cycles).toBe('number');
+
+            const promise = nextResize(elements.target1);
+
+            elements.target1.style.width = '300px';
+
+            promise.then(entry => {
+                expect(entry.target).toBe(elements.target1);
+                expect(entry.contentRect.width).toBe(300);
+            }).then(done).catch(done.fail);
+        });
+    });
 });
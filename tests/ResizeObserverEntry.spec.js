@@ -67,6 +67,23 @@ describe('ResizeObserverEntry', () => {
             getEntry().then(entry => {
                 expect(isReadOnlyAttr(entry, 'target')).toBe(true);
                 expect(isReadOnlyAttr(entry, 'contentRect')).toBe(true);
+                expect(isReadOnlyAttr(entry, 'borderBoxSize')).toBe(true);
+                expect(isReadOnlyAttr(entry, 'contentBoxSize')).toBe(true);
+                expect(isReadOnlyAttr(entry, 'devicePixelContentBoxSize')).toBe(true);
+            }).then(done);
+        });
+
+        it('box sizes are frozen lists of readonly sizes', done => {
+            getEntry().then(entry => {
+                const lists = [entry.borderBoxSize, entry.contentBoxSize, entry.devicePixelContentBoxSize];
+
+                for (const list of lists) {
+                    expect(list.length).toBe(1);
+                    expect(Object.isFrozen(list)).toBe(true);
+
+                    expect(isReadOnlyAttr(list[0], 'inlineSize')).toBe(true);
+                    expect(isReadOnlyAttr(list[0], 'blockSize')).toBe(true);
+                }
             }).then(done);
         });
 
@@ -0,0 +1,57 @@
+/* eslint-disable max-nested-callbacks */
+const BreakpointObserver = require('../../dist/BreakpointObserver');
+
+let observer;
+
+// eslint-disable-next-line
+const emptyFn = () => {};
+
+describe('BreakpointObserver', () => {
+    afterEach(() => {
+        if (observer) {
+            observer.disconnect();
+        }
+
+        observer = null;
+    });
+
+    describe('constructor', () => {
+        it('throws an error if breakpoints are not valid', () => {
+            expect(() => {
+                observer = new BreakpointObserver(null);
+            }).toThrowError(TypeError, /breakpoints/i);
+
+            expect(() => {
+                observer = new BreakpointObserver({md: -1});
+            }).toThrowError(TypeError, /breakpoint is not valid/i);
+
+            expect(() => {
+                observer = new BreakpointObserver({sm: 0, md: 480}, emptyFn);
+            }).not.toThrow();
+        });
+
+        it('throws an error if options are not valid', () => {
+            expect(() => {
+                observer = new BreakpointObserver({}, emptyFn, {classPrefix: 1});
+            }).toThrowError(TypeError, /class prefix/i);
+
+            expect(() => {
+                observer = new BreakpointObserver({}, emptyFn, {debounce: -1});
+            }).toThrowError(TypeError, /debounce delay/i);
+        });
+    });
+
+    describe('observe', () => {
+        it('throws an error if no arguments are provided', () => {
+            observer = new BreakpointObserver({});
+
+            expect(() => {
+                observer.observe();
+            }).toThrowError(/1 argument required/i);
+
+            expect(() => {
+                observer.observe({});
+            }).not.toThrow();
+        });
+    });
+});
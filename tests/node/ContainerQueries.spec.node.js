@@ -0,0 +1,15 @@
+const ContainerQueries = require('../../dist/ContainerQueries');
+
+describe('ContainerQueries', () => {
+    describe('isSupported', () => {
+        it('returns false if CSS is not available', () => {
+            expect(ContainerQueries.isSupported()).toBe(false);
+        });
+    });
+
+    describe('default', () => {
+        it('is not created outside of a browser', () => {
+            expect(ContainerQueries.default).toBe(null);
+        });
+    });
+});
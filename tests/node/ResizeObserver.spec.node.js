@@ -35,6 +35,48 @@ describe('ResizeObserver', () => {
                 observer = new ResizeObserver(emptyFn);
             }).not.toThrow();
         });
+
+        it('throws an error if detection strategy is not valid', () => {
+            expect(() => {
+                observer = new ResizeObserver(emptyFn, {detection: 'unknown'});
+            }).toThrowError(TypeError, /detection strategy/i);
+
+            expect(() => {
+                observer = new ResizeObserver(emptyFn, {detection: 'scroll'});
+            }).not.toThrow();
+        });
+
+        it('throws an error if auto release mode is not valid', () => {
+            expect(() => {
+                observer = new ResizeObserver(emptyFn, {autoRelease: true});
+            }).toThrowError(TypeError, /auto release mode/i);
+
+            expect(() => {
+                observer = new ResizeObserver(emptyFn, {autoRelease: 'weak'});
+            }).not.toThrow();
+        });
+
+        it('throws an error if delivery options are not valid', () => {
+            expect(() => {
+                observer = new ResizeObserver(emptyFn, {debounce: -1});
+            }).toThrowError(TypeError, /debounce delay/i);
+
+            expect(() => {
+                observer = new ResizeObserver(emptyFn, {throttle: '100'});
+            }).toThrowError(TypeError, /throttle delay/i);
+
+            expect(() => {
+                observer = new ResizeObserver(emptyFn, {leading: 1});
+            }).toThrowError(TypeError, /leading flag/i);
+
+            expect(() => {
+                observer = new ResizeObserver(emptyFn, {debounce: 100, throttle: 100});
+            }).toThrowError(TypeError, /debounced and throttled/i);
+
+            expect(() => {
+                observer = new ResizeObserver(emptyFn, {throttle: 100, leading: true});
+            }).not.toThrow();
+        });
     });
 
     describe('observe', () => {
@@ -74,4 +116,114 @@ describe('ResizeObserver', () => {
             }).not.toThrow();
         });
     });
+
+    describe('takeRecords', () => {
+        it('returns an empty list', () => {
+            observer = new ResizeObserver(emptyFn);
+
+            expect(observer.takeRecords()).toEqual([]);
+        });
+    });
+
+    describe('configure', () => {
+        it('returns previous settings', () => {
+            const settings = ResizeObserver.configure({legacyInitialObservation: true});
+
+            expect(settings.legacyInitialObservation).toBe(false);
+            expect(ResizeObserver.configure(settings).legacyInitialObservation).toBe(true);
+        });
+
+        it('throws an error if an option is not valid', () => {
+            expect(() => {
+                ResizeObserver.configure();
+            }).toThrowError(TypeError, /not an object/i);
+
+            expect(() => {
+                ResizeObserver.configure({unknown: true});
+            }).toThrowError(TypeError, /unknown option/i);
+
+            expect(() => {
+                ResizeObserver.configure({legacyInitialObservation: 1});
+            }).toThrowError(TypeError, /not valid/i);
+
+            expect(() => {
+                ResizeObserver.configure({detection: 'unknown'});
+            }).toThrowError(TypeError, /not valid/i);
+
+            expect(() => {
+                ResizeObserver.configure({pollingInterval: 0});
+            }).toThrowError(TypeError, /not valid/i);
+
+            expect(() => {
+                ResizeObserver.configure({scheduler: 'raf'});
+            }).toThrowError(TypeError, /not valid/i);
+
+            expect(() => {
+                ResizeObserver.configure({mutationScope: 'body'});
+            }).toThrowError(TypeError, /not valid/i);
+
+            expect(() => {
+                ResizeObserver.configure({onCycle: {}});
+            }).toThrowError(TypeError, /not valid/i);
+
+            expect(() => {
+                ResizeObserver.configure({autoRelease: 'always'});
+            }).toThrowError(TypeError, /not valid/i);
+
+            expect(() => {
+                ResizeObserver.configure({onRelease: 'log'});
+            }).toThrowError(TypeError, /not valid/i);
+
+            expect(() => {
+                ResizeObserver.configure({userTiming: 1});
+            }).toThrowError(TypeError, /not valid/i);
+
+            expect(() => {
+                ResizeObserver.configure({debug: 'verbose'});
+            }).toThrowError(TypeError, /not valid/i);
+        });
+    });
+
+    describe('getStats', () => {
+        it('returns a copy of statistics', () => {
+            const stats = ResizeObserver.getStats();
+
+            expect(stats.cycles).toEqual(jasmine.any(Number));
+            expect(stats.measureTime).toEqual(jasmine.any(Number));
+
+            stats.cycles = -1;
+
+            expect(ResizeObserver.getStats().cycles).not.toBe(-1);
+        });
+    });
+
+    describe('nextResize', () => {
+        it('returns a promise', () => {
+            expect(ResizeObserver.nextResize({})).toEqual(jasmine.any(Promise));
+        });
+    });
+
+    describe('enableElementResizeEvents', () => {
+        it('throws an error if element is not an event target', () => {
+            expect(() => {
+                ResizeObserver.enableElementResizeEvents({});
+            }).toThrowError(TypeError, /Element/);
+
+            expect(() => {
+                ResizeObserver.disableElementResizeEvents(null);
+            }).toThrowError(TypeError, /Element/);
+        });
+    });
+
+    describe('watch', () => {
+        it('finishes the iteration when it\'s returned', done => {
+            const iterator = ResizeObserver.watch({});
+
+            iterator.next().then(result => {
+                expect(result.done).toBe(true);
+            }).then(done).catch(done.fail);
+
+            iterator.return();
+        });
+    });
 });
@@ -1,3 +1,7 @@
+// Messages of the errors that both native and polyfilled implementations
+// report with the "error" event when notifications are skipped.
+const LOOP_ERROR_REGEXP = /loop limit|loop completed/;
+
 /**
  * Creates an overlay function for the Jasmine's "Spy" object with the additional
  * "nextCall" method, which in turn creates a promise that will be resolved on
@@ -38,3 +42,52 @@ export function createAsyncSpy() {
  * @returns {Promise}
  */
 export const wait = timeout => new Promise(resolve => setTimeout(resolve, timeout));
+
+/**
+ * Starts collecting messages of the errors reported when notifications are
+ * skipped.
+ *
+ * @returns {Function} Function that stops collecting and returns the messages.
+ */
+export function collectLoopErrors() {
+    const messages = [];
+
+    const listener = ({message}) => {
+        if (LOOP_ERROR_REGEXP.test(message)) {
+            messages.push(message);
+        }
+    };
+
+    window.addEventListener('error', listener);
+
+    return () => {
+        window.removeEventListener('error', listener);
+
+        return messages;
+    };
+}
+
+/**
+ * Prevents the errors reported when notifications are skipped from being
+ * treated as a failure by the test runner. Must be invoked inside of the spec
+ * that expects them, as the runner installs its own handler before the specs
+ * are executed.
+ *
+ * @returns {Function} Function that restores the previous handler.
+ */
+export function suppressLoopErrors() {
+    const {onerror} = window;
+
+    window.onerror = function (message, ...args) {
+        if (LOOP_ERROR_REGEXP.test(message)) {
+            return true;
+        }
+
+        // eslint-disable-next-line no-invalid-this
+        return onerror ? onerror.call(this, message, ...args) : false;
+    };
+
+    return () => {
+        window.onerror = onerror;
+    };
+}